@@ -0,0 +1,40 @@
+<?php
+/**
+ * Delete Draft Endpoint
+ * Removes a draft from the drafts directory
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('POST');
+
+$payload = read_json_body();
+$id = $payload['id'] ?? null;
+
+if (!is_valid_storage_id($id)) {
+    send_json(false, null, 'Invalid draft id', 400);
+}
+
+if (!file_exists(draft_path($id))) {
+    send_json(false, null, 'Draft not found', 404);
+}
+
+try {
+    delete_locked(draft_path($id));
+
+    // Snapshots belong to the draft and go with it
+    $snapshotDir = snapshot_dir($id);
+    if (is_dir($snapshotDir)) {
+        foreach (glob($snapshotDir . '/*.json') as $file) {
+            delete_locked($file);
+        }
+        rmdir($snapshotDir);
+    }
+
+    send_json(true, ['id' => $id]);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
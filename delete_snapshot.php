@@ -0,0 +1,31 @@
+<?php
+/**
+ * Delete Snapshot Endpoint
+ * Removes one snapshot from a project's history
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('POST');
+
+$payload = read_json_body();
+$projectId = $payload['projectId'] ?? null;
+$id = $payload['id'] ?? null;
+
+if (!is_valid_storage_id($projectId) || !is_valid_storage_id($id)) {
+    send_json(false, null, 'Invalid snapshot id', 400);
+}
+
+if (!file_exists(snapshot_path($projectId, $id))) {
+    send_json(false, null, 'Snapshot not found', 404);
+}
+
+try {
+    delete_locked(snapshot_path($projectId, $id));
+    send_json(true, ['id' => $id]);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
@@ -12,7 +12,8 @@ class Settings {
             model: 'gpt-4o-mini',
             maxTokens: 2000,
             temperature: 0.7,
-            systemPrompt: ''
+            systemPrompt: '',
+            keymap: {}
         };
         this.allowedModels = ['gpt-4o-mini', 'gpt-4', 'gpt-4-turbo'];
     }
@@ -52,7 +53,8 @@ class Settings {
                     model: settingsObj.model,
                     maxTokens: settingsObj.maxTokens,
                     temperature: settingsObj.temperature,
-                    systemPrompt: settingsObj.systemPrompt
+                    systemPrompt: settingsObj.systemPrompt,
+                    keymap: settingsObj.keymap || {}
                 })
             });
             
@@ -118,1452 +120,6915 @@ class Settings {
     }
 }
 
-class ExportManager {
-    constructor(editorState) {
-        this.editorState = editorState;
-    }
-
-    generateHTML() {
-        const baseCss = [
-            'html, body { margin: 0; padding: 0; height: 100%; }',
-            '* { box-sizing: border-box; }'
-        ].join('\n');
-
-        const cssRules = this.extractCSS(this.editorState.domTree);
-        const bodyHTML = this.generateBodyHTML(this.editorState.domTree);
-
-        const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Exported Project</title>
-    <style>
-${baseCss}
+const PROJECT_FORMAT = 'vd-visual-editor-project';
+const PROJECT_VERSION = 2;
 
-${cssRules}
-    </style>
-</head>
-<body>
-${bodyHTML}
-</body>
-</html>`;
+class ProjectFormat {
+    static createMeta(name = 'Untitled project') {
+        return {
+            id: null,
+            name: name,
+            createdAt: null,
+            updatedAt: null
+        };
+    }
 
-        return this.formatHTML(html);
+    static serialize(state) {
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            meta: { ...state.project },
+            activePageId: state.activePageId,
+            pages: state.pages.map(page => ({
+                id: page.id,
+                name: page.name,
+                slug: page.slug,
+                settings: { ...(page.settings || {}) },
+                domTree: JSON.parse(JSON.stringify(page.domTree))
+            }))
+        };
     }
 
-    normalizeStyleKey(key) {
-        if (!key) return key;
-        if (key.includes('-')) return key;
-        return key.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`);
+    static invalid(message) {
+        const err = new Error(message);
+        err.code = 'INVALID_PROJECT';
+        return err;
     }
 
-    extractCSS(node, cssMap = new Map()) {
-        if (node.id && node.styles && Object.keys(node.styles).length > 0) {
-            const selector = `#${node.id}`;
-            const rules = Object.entries(node.styles)
-                .map(([k, v]) => `    ${this.normalizeStyleKey(k)}: ${v};`)
-                .join('\n');
-            cssMap.set(selector, rules);
+    static parse(input) {
+        let project = input;
+        if (typeof input === 'string') {
+            try {
+                project = JSON.parse(input);
+            } catch (e) {
+                throw ProjectFormat.invalid('File is not valid JSON');
+            }
+        }
+
+        if (!project || typeof project !== 'object' || project.format !== PROJECT_FORMAT) {
+            throw ProjectFormat.invalid('Not a VD-Visual-Editor project file');
         }
-        
-        if (node.children) {
-            node.children.forEach(child => this.extractCSS(child, cssMap));
+        if (!Number.isInteger(project.version) || project.version < 1) {
+            throw ProjectFormat.invalid('Project file has no valid version');
         }
-        
-        if (cssMap.size === 0) {
-            return '';
+        if (project.version > PROJECT_VERSION) {
+            throw ProjectFormat.invalid(`Project was saved by a newer editor (version ${project.version})`);
         }
-        
-        const cssLines = [];
-        for (const [selector, rules] of cssMap) {
-            cssLines.push(`${selector} {\n${rules}\n}`);
+
+        project = ProjectFormat.migrate(project);
+
+        if (!Array.isArray(project.pages) || project.pages.length === 0 || !project.pages.every(ProjectFormat.isValidPage)) {
+            throw ProjectFormat.invalid('Project content is malformed');
         }
-        
-        return cssLines.join('\n\n');
+        // Links point at page ids, so a repeated one cannot be told apart
+        if (new Set(project.pages.map(page => page.id)).size !== project.pages.length) {
+            throw ProjectFormat.invalid('Project has several pages with the same id');
+        }
+        ProjectFormat.repairDuplicates(project.pages);
+
+        return {
+            meta: { ...ProjectFormat.createMeta(), ...(project.meta || {}) },
+            pages: project.pages.map(page => ({
+                id: page.id,
+                name: page.name,
+                slug: page.slug,
+                settings: page.settings && typeof page.settings === 'object' ? page.settings : {},
+                domTree: page.domTree
+            })),
+            activePageId: project.activePageId
+        };
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Upgrade older documents step by step until they match PROJECT_VERSION
+    static migrate(project) {
+        let migrated = project;
+
+        // v1: a single domTree, no pages
+        if (migrated.version === 1) {
+            migrated = {
+                format: PROJECT_FORMAT,
+                version: 2,
+                meta: migrated.meta,
+                activePageId: 'page-home',
+                pages: [{ id: 'page-home', name: 'Home', slug: 'index', domTree: migrated.domTree }]
+            };
+        }
+
+        return migrated;
     }
 
-    escapeAttr(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/"/g, '&quot;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;');
+    // Repeated slugs get a number, as new pages do; repeated element ids within a page get new ids
+    static repairDuplicates(pages) {
+        const slugs = new Set();
+        pages.forEach(page => {
+            let slug = page.slug;
+            for (let n = 2; slugs.has(slug); n++) {
+                slug = `${page.slug}-${n}`;
+            }
+            page.slug = slug;
+            slugs.add(slug);
+
+            const ids = new Set();
+            const visit = (node) => {
+                if (ids.has(node.id)) node.id = EditorState.generateId();
+                ids.add(node.id);
+                (node.children || []).forEach(visit);
+            };
+            visit(page.domTree);
+        });
     }
 
-    generateBodyHTML(node, indent = 0) {
-        const spaces = '    '.repeat(indent);
-        const tag = node.tag;
-        const selfClosing = ['img', 'br', 'hr', 'input'].includes(tag);
-        
-        let attrString = '';
-        if (node.id) {
-            attrString += ` id="${this.escapeAttr(node.id)}"`;
-        }
-        if (node.classes && node.classes.length > 0) {
-            attrString += ` class="${this.escapeAttr(node.classes.join(' '))}"`;
+    static isValidPage(page) {
+        return Boolean(page) &&
+            typeof page.id === 'string' && page.id !== '' &&
+            typeof page.name === 'string' &&
+            typeof page.slug === 'string' && /^[a-z0-9-]+$/.test(page.slug) &&
+            ProjectFormat.isValidNode(page.domTree) && page.domTree.id === 'root-canvas';
+    }
+
+    static isValidNode(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (typeof node.tag !== 'string' || !/^[a-z][a-z0-9-]*$/.test(node.tag)) return false;
+        if (typeof node.id !== 'string' || !node.id) return false;
+        if (node.styles && typeof node.styles !== 'object') return false;
+        if (node.breakpointStyles && (typeof node.breakpointStyles !== 'object' ||
+            !Object.values(node.breakpointStyles).every(styles => styles && typeof styles === 'object'))) return false;
+        if (node.hiddenOn && typeof node.hiddenOn !== 'object') return false;
+        if (node.attributes && typeof node.attributes !== 'object') return false;
+        if (node.classes && !Array.isArray(node.classes)) return false;
+        if (node.children && !Array.isArray(node.children)) return false;
+        return (node.children || []).every(child => ProjectFormat.isValidNode(child));
+    }
+}
+
+class DraftStorage {
+    async request(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-store', ...options });
+        } catch (e) {
+            const err = new Error('Network error');
+            err.code = 'NETWORK_ERROR';
+            throw err;
         }
-        if (node.attributes) {
-            for (const [k, v] of Object.entries(node.attributes)) {
-                if (v === undefined || v === null) continue;
-                attrString += ` ${k}="${this.escapeAttr(String(v))}"`;
-            }
+
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new Error((result && result.error) || `HTTP error ${response.status}`);
         }
 
-        let html = `${spaces}<${tag}${attrString}`;
+        return result.data;
+    }
 
-        if (selfClosing) {
-            html += ' />';
-        } else {
-            html += '>';
+    async list() {
+        return this.request('list_drafts.php', { method: 'GET' });
+    }
 
-            if (node.textContent) {
-                html += this.escapeHtml(node.textContent);
-            }
+    async load(id) {
+        return this.request(`load_draft.php?id=${encodeURIComponent(id)}`, { method: 'GET' });
+    }
 
-            if (node.children && node.children.length > 0) {
-                html += '\n';
-                node.children.forEach(child => {
-                    html += this.generateBodyHTML(child, indent + 1) + '\n';
-                });
-                html += spaces;
-            }
+    async save(project) {
+        return this.request('save_draft.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(project)
+        });
+    }
 
-            html += `</${tag}>`;
-        }
+    async remove(id) {
+        return this.request('delete_draft.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id })
+        });
+    }
 
-        return html;
+    async listSnapshots(projectId) {
+        return this.request(`list_snapshots.php?projectId=${encodeURIComponent(projectId)}`, { method: 'GET' });
     }
 
-    formatHTML(htmlString) {
-        return htmlString;
+    async loadSnapshot(projectId, id) {
+        return this.request(`load_snapshot.php?projectId=${encodeURIComponent(projectId)}&id=${encodeURIComponent(id)}`, { method: 'GET' });
     }
 
-    downloadFile(htmlString, filename) {
-        const blob = new Blob([htmlString], { type: 'text/html' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    async saveSnapshot(projectId, name, auto, project) {
+        return this.request('save_snapshot.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ projectId, name, auto, project })
+        });
+    }
+
+    async removeSnapshot(projectId, id) {
+        return this.request('delete_snapshot.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ projectId, id })
+        });
     }
 }
 
-class ChatManager {
-    constructor(editorInstance) {
-        this.editor = editorInstance;
-        this.settings = editorInstance.settings;
-        this.state = editorInstance.state;
-        this.canvas = editorInstance.canvas;
-        this.conversationHistory = [];
-        this.isProcessing = false;
-        this.maxHistoryLength = 20;
-        
-        // DOM elements
-        this.chatPanel = document.getElementById('chat-panel');
-        this.chatMessages = document.getElementById('chat-messages');
-        this.chatInput = document.getElementById('chat-input');
-        this.chatCharCounter = document.getElementById('chat-char-counter');
-        this.btnSendMessage = document.getElementById('btn-send-message');
-        this.btnToggleChat = document.getElementById('btn-chat-toggle');
-        this.btnCollapseChat = document.getElementById('btn-collapse-chat');
-        this.btnCloseChat = document.getElementById('btn-close-chat');
-        
-        this.init();
+/**
+ * Structural comparison of two parsed projects, matched by page and element id
+ */
+class ProjectDiff {
+    static compare(before, after) {
+        const beforePages = new Map(before.pages.map(page => [page.id, page]));
+        const afterPages = new Map(after.pages.map(page => [page.id, page]));
+
+        const diff = {
+            pagesAdded: after.pages.filter(page => !beforePages.has(page.id)).map(page => page.name),
+            pagesRemoved: before.pages.filter(page => !afterPages.has(page.id)).map(page => page.name),
+            pagesRenamed: [],
+            pages: []
+        };
+
+        after.pages.forEach(page => {
+            const old = beforePages.get(page.id);
+            if (!old) return;
+            if (old.name !== page.name) {
+                diff.pagesRenamed.push({ from: old.name, to: page.name });
+            }
+            const treeDiff = ProjectDiff.compareTrees(old.domTree, page.domTree);
+            if (!ProjectDiff.isTreeDiffEmpty(treeDiff)) {
+                diff.pages.push({ name: page.name, ...treeDiff });
+            }
+        });
+
+        diff.isEmpty = diff.pagesAdded.length === 0 && diff.pagesRemoved.length === 0 &&
+            diff.pagesRenamed.length === 0 && diff.pages.length === 0;
+        return diff;
     }
-    
-    init() {
-        this.setupEventListeners();
-        this.updateCharCounter();
+
+    static isTreeDiffEmpty(treeDiff) {
+        return treeDiff.added.length === 0 && treeDiff.removed.length === 0 &&
+            treeDiff.moved.length === 0 && treeDiff.changed.length === 0;
     }
-    
-    setupEventListeners() {
-        // Chat toggle button
-        this.btnToggleChat.addEventListener('click', () => {
-            this.toggleChat();
-        });
-        
-        // Collapse and close buttons
-        this.btnCollapseChat.addEventListener('click', () => {
-            this.collapseChat();
+
+    static indexTree(root) {
+        const index = new Map();
+        const walk = (node, parentId) => {
+            index.set(node.id, { node, parentId });
+            (node.children || []).forEach(child => walk(child, node.id));
+        };
+        walk(root, null);
+        return index;
+    }
+
+    static label(node) {
+        return `${node.tag}#${node.id}`;
+    }
+
+    // Ids in the longest common subsequence of two id lists
+    static commonOrder(a, b) {
+        const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const keep = new Set();
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                keep.add(a[i]);
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return keep;
+    }
+
+    static compareMaps(before = {}, after = {}, normalizeKey = (k) => k) {
+        const normalize = (map) => Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [normalizeKey(k), String(v)]));
+        const a = normalize(before);
+        const b = normalize(after);
+        return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(key => a[key] !== b[key])
+            .map(key => ({ property: key, from: a[key], to: b[key] }));
+    }
+
+    static compareTrees(beforeRoot, afterRoot) {
+        const before = ProjectDiff.indexTree(beforeRoot);
+        const after = ProjectDiff.indexTree(afterRoot);
+        const result = { added: [], removed: [], moved: [], changed: [] };
+
+        after.forEach((entry, id) => {
+            if (!before.has(id)) result.added.push(ProjectDiff.label(entry.node));
         });
-        
-        this.btnCloseChat.addEventListener('click', () => {
-            this.closeChat();
+        before.forEach((entry, id) => {
+            if (!after.has(id)) result.removed.push(ProjectDiff.label(entry.node));
         });
-        
-        // Send message button
-        this.btnSendMessage.addEventListener('click', () => {
-            this.sendMessage();
+
+        // Moved: a new parent, or out of order among siblings that stayed under the same parent
+        after.forEach((entry, id) => {
+            const old = before.get(id);
+            if (old && old.parentId !== entry.parentId) {
+                result.moved.push(ProjectDiff.label(entry.node));
+            }
         });
-        
-        // Chat input events
-        this.chatInput.addEventListener('input', () => {
-            this.updateCharCounter();
+        after.forEach((entry, parentId) => {
+            const old = before.get(parentId);
+            if (!old) return;
+            const stays = (childId) => {
+                const a = before.get(childId);
+                const b = after.get(childId);
+                return a && b && a.parentId === parentId && b.parentId === parentId;
+            };
+            const oldOrder = (old.node.children || []).map(child => child.id).filter(stays);
+            const newOrder = (entry.node.children || []).map(child => child.id).filter(stays);
+            const keep = ProjectDiff.commonOrder(oldOrder, newOrder);
+            newOrder.filter(childId => !keep.has(childId))
+                .forEach(childId => result.moved.push(ProjectDiff.label(after.get(childId).node)));
         });
-        
-        this.chatInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
+
+        after.forEach((entry, id) => {
+            const old = before.get(id);
+            if (!old) return;
+
+            const change = {
+                element: ProjectDiff.label(entry.node),
+                styles: [
+                    ...ProjectDiff.compareMaps(old.node.styles, entry.node.styles, DOMRenderer.normalizeStyleKey),
+                    ...['tablet', 'mobile'].flatMap(name =>
+                        ProjectDiff.compareMaps(Breakpoints.layer(old.node, name), Breakpoints.layer(entry.node, name),
+                            key => `${DOMRenderer.normalizeStyleKey(key)} (${name})`))
+                ],
+                attributes: [
+                    ...ProjectDiff.compareMaps(old.node.attributes, entry.node.attributes),
+                    ...ProjectDiff.compareMaps(old.node.hiddenOn, entry.node.hiddenOn, key => `hidden on ${key}`)
+                ],
+                text: (old.node.textContent || '') !== (entry.node.textContent || '')
+                    ? { from: old.node.textContent || '', to: entry.node.textContent || '' }
+                    : null
+            };
+            if (old.node.tag !== entry.node.tag) {
+                change.attributes.unshift({ property: 'tag', from: old.node.tag, to: entry.node.tag });
+            }
+            if (change.styles.length || change.attributes.length || change.text) {
+                result.changed.push(change);
             }
         });
+
+        return result;
     }
-    
-    toggleChat() {
-        this.chatPanel.classList.toggle('collapsed');
-        
-        // Update button text based on panel state
-        if (this.chatPanel.classList.contains('collapsed')) {
-            this.btnToggleChat.textContent = 'AI Chat';
-        } else {
-            this.btnToggleChat.textContent = 'Hide Chat';
+}
+
+class AutosaveManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.storageKey = 'vdve_recovery';
+        this.maxPoints = 5;
+        this.debounceDelay = 1000;
+        // A new recovery point is started when the newest one is older than this
+        this.rotateInterval = 60000;
+        this.timer = null;
+        this.startNewPoint = true;
+        this.enabled = false;
+
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    get state() {
+        return this.editor.state;
+    }
+
+    getPoints() {
+        try {
+            const points = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(points) ? points : [];
+        } catch (e) {
+            return [];
         }
     }
-    
-    collapseChat() {
-        this.chatPanel.classList.add('collapsed');
-        this.btnToggleChat.textContent = 'AI Chat';
+
+    schedule() {
+        if (!this.enabled) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.write(), this.debounceDelay);
     }
-    
-    closeChat() {
-        this.chatPanel.classList.add('collapsed');
-        this.btnToggleChat.textContent = 'AI Chat';
+
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.write();
+        }
     }
-    
-    updateCharCounter() {
-        const length = this.chatInput.value.length;
-        const maxLength = 500;
-        this.chatCharCounter.textContent = `${length} / ${maxLength}`;
-        
-        // Update styling based on character count
-        this.chatCharCounter.classList.remove('warning', 'critical');
-        if (length > maxLength * 0.9) {
-            this.chatCharCounter.classList.add('critical');
-        } else if (length > maxLength * 0.8) {
-            this.chatCharCounter.classList.add('warning');
+
+    // Keep the current state in its own recovery point before a risky change (AI edits, New)
+    checkpoint() {
+        this.flush();
+        this.startNewPoint = true;
+    }
+
+    capture() {
+        return {
+            savedAt: Date.now(),
+            project: ProjectFormat.serialize(this.state),
+            selectedElementId: this.state.selectedElementId,
+            // Undo history per page id
+            history: Object.fromEntries(this.state.pages.map(page => [
+                page.id,
+                { undoStack: page.undoStack, redoStack: page.redoStack }
+            ]))
+        };
+    }
+
+    write() {
+        this.timer = null;
+
+        const points = this.getPoints();
+        const point = this.capture();
+        const latest = points[0];
+
+        if (this.startNewPoint || !latest || point.savedAt - latest.savedAt > this.rotateInterval) {
+            points.unshift(point);
+            this.startNewPoint = false;
+        } else {
+            // Keep the point's start time so it rotates out on schedule
+            point.savedAt = latest.savedAt;
+            point.updatedAt = Date.now();
+            points[0] = point;
+        }
+        points.splice(this.maxPoints);
+
+        // When storage is full, drop the oldest points, then the undo history of the newest
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(points));
+                return;
+            } catch (e) {
+                if (points.length > 1) {
+                    points.pop();
+                } else if (points[0].history) {
+                    delete points[0].history;
+                } else {
+                    console.warn('Autosave failed:', e);
+                    return;
+                }
+            }
         }
     }
-    
-    formatUserMessage(text) {
-        return text.trim().substring(0, 500);
+
+    restore(point) {
+        const parsed = ProjectFormat.parse(point.project);
+        this.state.loadProject(parsed.meta, parsed.pages, parsed.activePageId);
+        this.state.pages.forEach(page => {
+            const history = point.history && point.history[page.id];
+            if (history) {
+                // Entries saved before operation-based history are snapshots and cannot be replayed
+                const entries = stack => (Array.isArray(stack) ? stack : []).filter(entry => entry && Array.isArray(entry.ops));
+                page.undoStack = entries(history.undoStack);
+                page.redoStack = entries(history.redoStack);
+            }
+        });
+        this.state.selectedElementId = this.state.findElementById(point.selectedElementId) ? point.selectedElementId : null;
+        this.startNewPoint = true;
+
+        this.editor.refreshPages();
+        this.editor.canvas.render(this.state);
+        this.editor.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
     }
-    
-    async sendMessage() {
-        const message = this.formatUserMessage(this.chatInput.value);
-        
-        if (!message || this.isProcessing) {
-            return;
+
+    // Offer to restore the newest recovery point, then start autosaving
+    promptRestore() {
+        const latest = this.getPoints()[0];
+        let hasContent = false;
+        try {
+            hasContent = Boolean(latest) && ProjectFormat.parse(latest.project).pages.some(page => page.domTree.children.length > 0);
+        } catch (e) {
+            hasContent = false;
         }
-        
-        // Check if API key is set
-        const apiKey = localStorage.getItem('openaiApiKey') || this.settings.getApiKeyFromStorage();
-        if (!apiKey) {
-            this.addErrorMessage('Please configure your API key in Settings');
-            return;
+
+        if (hasContent) {
+            const time = new Date(latest.updatedAt || latest.savedAt).toLocaleString();
+            if (confirm(`Restore unsaved work from ${time}?`)) {
+                try {
+                    this.restore(latest);
+                } catch (error) {
+                    console.error('Failed to restore recovery point:', error);
+                    alert('Restore failed: ' + error.message);
+                }
+            }
         }
-        
-        // Add user message to UI and history
-        this.addMessageToUI('user', message);
-        this.addMessageToHistory('user', message);
-        
-        // Clear input
-        this.chatInput.value = '';
-        this.updateCharCounter();
-        
-        // Disable input and show typing indicator
-        this.setInputState(false);
-        this.showTypingIndicator();
-        
-        try {
-            this.isProcessing = true;
-            
-            // Build system prompt
-            const systemPrompt = this.buildSystemPrompt();
-            
-            // Call OpenAI API
-            const response = await this.callOpenAI(systemPrompt, message);
-            
-            // Remove typing indicator
-            this.removeTypingIndicator();
-            
-            // Add AI response to UI and history
-            this.addMessageToUI('assistant', response);
-            this.addMessageToHistory('assistant', response);
-            
-            // Parse and apply changes
-            await this.parseAndApplyChanges(response);
-            
-        } catch (error) {
-            this.removeTypingIndicator();
-            console.error('Chat error:', error);
 
-            let errorMessage = 'An error occurred while processing your request.';
+        this.enabled = true;
+    }
+}
 
-            switch (error.code) {
-                case 'MISSING_LOCAL_API_KEY':
-                    errorMessage = 'Please configure your API key in Settings';
-                    break;
-                case 'MISSING_AUTH_HEADER':
-                    errorMessage = 'API key not found. Please save Settings first';
-                    break;
-                case 'INVALID_API_KEY':
-                    errorMessage = 'Invalid API key. Please check Settings';
-                    break;
-                case 'RATE_LIMIT':
-                    errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
-                    break;
-                case 'NETWORK_ERROR':
-                    errorMessage = 'Network error. Please check your connection and try again.';
-                    break;
-                default: {
-                    const msg = typeof error.message === 'string' ? error.message : '';
-                    const msgLower = msg.toLowerCase();
+class VersionHistory {
+    constructor(editor) {
+        this.editor = editor;
+        this.snapshots = [];
 
-                    if (msgLower.includes('authorization header')) {
-                        errorMessage = 'API key not found. Please save Settings first';
-                    } else if (msgLower.includes('invalid api key') || (msgLower.includes('api key') && msgLower.includes('invalid'))) {
-                        errorMessage = 'Invalid API key. Please check Settings';
-                    } else if (msgLower.includes('rate limit')) {
-                        errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
-                    } else if (msgLower.includes('network')) {
-                        errorMessage = 'Network error. Please check your connection and try again.';
-                    }
-                }
-            }
+        // DOM elements
+        this.modal = document.getElementById('history-modal');
+        this.listEl = document.getElementById('history-list');
+        this.detailEl = document.getElementById('history-detail');
+        this.nameInput = document.getElementById('history-snapshot-name');
+        this.statusDiv = document.getElementById('history-status');
+        this.btnHistory = document.getElementById('btn-history');
+        this.btnTakeSnapshot = document.getElementById('btn-take-snapshot');
+        this.btnClose = document.getElementById('btn-close-history');
+        this.closeModal = document.querySelector('.close-history-modal');
 
-            this.addErrorMessage(errorMessage);
-        } finally {
-            this.isProcessing = false;
-            this.setInputState(true);
-        }
+        this.init();
     }
-    
-    buildSystemPrompt() {
-        const canvasDescription = this.getCanvasDescription();
-        let basePrompt = `You are an AI assistant for a visual HTML editor. You help users modify their canvas design by changing styles, adding elements, and adjusting layouts.
-
-Current Canvas State:
-${canvasDescription}
 
-Instructions:
-- Respond with a brief acknowledgment followed by specific code modifications
-- Use this format for modifications:
-  * UPDATE #element-id { property: value; }
-  * ADD <element>content</element>
-  * DELETE #element-id
-  * SET-TEXT #element-id "New text content"
-- Only modify existing elements or add new ones
-- Keep CSS properties valid
-- Be specific and concise in your modifications`;
+    get state() {
+        return this.editor.state;
+    }
 
-        // We'll add custom system prompt when we have the settings
-        return basePrompt;
+    get storage() {
+        return this.editor.drafts;
     }
-    
-    getCanvasDescription() {
-        const elements = [];
-        const describeElement = (node, depth = 0) => {
-            const indent = '  '.repeat(depth);
-            let description = `${indent}- ${node.tag}`;
-            
-            if (node.id) description += ` #${node.id}`;
-            if (node.textContent) description += ` text: "${node.textContent.substring(0, 50)}"`;
-            if (node.styles && Object.keys(node.styles).length > 0) {
-                const styleKeys = Object.keys(node.styles).slice(0, 3);
-                description += ` styles: {${styleKeys.join(', ')}}`;
+
+    init() {
+        this.btnHistory.addEventListener('click', () => this.open());
+        this.closeModal.addEventListener('click', () => this.close());
+        this.btnClose.addEventListener('click', () => this.close());
+
+        window.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
             }
-            
-            elements.push(description);
-            
-            if (node.children) {
-                node.children.forEach(child => describeElement(child, depth + 1));
+        });
+
+        this.btnTakeSnapshot.addEventListener('click', async () => {
+            try {
+                await this.takeSnapshot(this.nameInput.value.trim());
+                this.nameInput.value = '';
+                await this.refresh();
+            } catch (error) {
+                console.error('Failed to take snapshot:', error);
+                this.showStatus(`Error: ${error.message}`, 'error');
             }
-        };
-        
-        describeElement(this.state.domTree);
-        return elements.join('\n');
+        });
     }
-    
-    async callOpenAI(systemPrompt, userMessage) {
-        const settings = await this.settings.loadSettings();
-        const apiKey = localStorage.getItem('openaiApiKey') || this.settings.getApiKeyFromStorage();
 
-        if (!apiKey) {
-            const err = new Error('API key not configured');
-            err.code = 'MISSING_LOCAL_API_KEY';
-            throw err;
+    showStatus(message, type) {
+        this.statusDiv.textContent = message;
+        this.statusDiv.classList.remove('hidden', 'success', 'error');
+        this.statusDiv.classList.add(type);
+    }
+
+    async open() {
+        this.statusDiv.classList.add('hidden');
+        this.detailEl.innerHTML = '';
+        this.modal.classList.remove('hidden');
+        await this.refresh();
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    // Manual snapshots need a saved draft; offer to save one first
+    async takeSnapshot(name) {
+        if (!this.state.project.id) {
+            await this.editor.saveDraft(document.getElementById('btn-save'));
+            if (!this.state.project.id) return null;
         }
 
-        // Add custom system prompt from settings
-        let fullSystemPrompt = systemPrompt;
-        if (settings.systemPrompt && settings.systemPrompt.trim()) {
-            fullSystemPrompt += `\n\nCustom Instructions:\n${settings.systemPrompt}`;
+        const snapshotName = name || `Snapshot ${new Date().toLocaleString()}`;
+        return this.storage.saveSnapshot(this.state.project.id, snapshotName, false, ProjectFormat.serialize(this.state));
+    }
+
+    // Automatic snapshots (e.g. before AI edits) are best effort and skipped for unsaved projects
+    async autoSnapshot(name) {
+        if (!this.state.project.id) return null;
+        try {
+            return await this.storage.saveSnapshot(this.state.project.id, name, true, ProjectFormat.serialize(this.state));
+        } catch (error) {
+            console.warn('Automatic snapshot failed:', error);
+            return null;
         }
+    }
 
-        let response;
+    async refresh() {
+        this.listEl.innerHTML = '';
+
+        if (!this.state.project.id) {
+            const empty = document.createElement('p');
+            empty.className = 'help-text';
+            empty.textContent = 'Save the project as a draft to start its history.';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        this.listEl.textContent = 'Loading history...';
         try {
-            response = await fetch('openai_proxy.php', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Cache-Control': 'no-store'
-                },
-                cache: 'no-store',
-                body: JSON.stringify({
-                    systemPrompt: fullSystemPrompt,
-                    userMessage: userMessage,
-                    model: settings.model || 'gpt-4o-mini',
-                    maxTokens: settings.maxTokens || 2000,
-                    temperature: settings.temperature || 0.7
-                })
+            this.snapshots = await this.storage.listSnapshots(this.state.project.id);
+            this.renderList();
+        } catch (error) {
+            console.error('Failed to list snapshots:', error);
+            this.listEl.textContent = '';
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    renderList() {
+        this.listEl.innerHTML = '';
+
+        if (this.snapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'help-text';
+            empty.textContent = 'No snapshots yet.';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        this.snapshots.forEach(snapshot => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'history-item' + (snapshot.auto ? ' auto' : '');
+
+            const name = document.createElement('strong');
+            name.textContent = snapshot.name;
+            const date = document.createElement('small');
+            date.className = 'help-text';
+            date.textContent = `${snapshot.auto ? 'Auto · ' : ''}${new Date(snapshot.createdAt).toLocaleString()}`;
+            item.appendChild(name);
+            item.appendChild(date);
+
+            item.addEventListener('click', () => {
+                this.listEl.querySelectorAll('.history-item').forEach(el => el.classList.remove('active'));
+                item.classList.add('active');
+                this.showSnapshot(snapshot);
             });
-        } catch (e) {
-            const err = new Error('Network error');
-            err.code = 'NETWORK_ERROR';
-            throw err;
+
+            this.listEl.appendChild(item);
+        });
+    }
+
+    async showSnapshot(meta) {
+        this.detailEl.textContent = 'Loading snapshot...';
+
+        let snapshot;
+        let parsed;
+        try {
+            snapshot = await this.storage.loadSnapshot(this.state.project.id, meta.id);
+            parsed = ProjectFormat.parse(snapshot.project);
+        } catch (error) {
+            console.error('Failed to load snapshot:', error);
+            this.detailEl.textContent = '';
+            this.showStatus(`Error: ${error.message}`, 'error');
+            return;
         }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => null);
-            const msg = (errorData && errorData.error) ? String(errorData.error) : `HTTP ${response.status}`;
+        const current = ProjectFormat.parse(ProjectFormat.serialize(this.state));
+        const diff = ProjectDiff.compare(parsed, current);
 
-            const err = new Error(msg);
+        this.detailEl.innerHTML = '';
 
-            if (response.status === 401) {
-                if (msg.toLowerCase().includes('authorization')) {
-                    err.code = 'MISSING_AUTH_HEADER';
-                } else {
-                    err.code = 'INVALID_API_KEY';
-                }
-            } else if (response.status === 429) {
-                err.code = 'RATE_LIMIT';
-            } else if (response.status >= 500) {
-                err.code = 'OPENAI_PROXY_ERROR';
+        const heading = document.createElement('h4');
+        heading.textContent = `Changes since "${snapshot.name}"`;
+        this.detailEl.appendChild(heading);
+        this.detailEl.appendChild(this.renderDiff(diff));
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+
+        const btnRestore = document.createElement('button');
+        btnRestore.type = 'button';
+        btnRestore.className = 'btn-primary';
+        btnRestore.textContent = 'Restore';
+        btnRestore.addEventListener('click', () => this.restore(snapshot, parsed));
+
+        const btnCopy = document.createElement('button');
+        btnCopy.type = 'button';
+        btnCopy.textContent = 'Open as copy';
+        btnCopy.addEventListener('click', () => this.openAsCopy(snapshot, parsed));
+
+        const btnDelete = document.createElement('button');
+        btnDelete.type = 'button';
+        btnDelete.textContent = 'Delete';
+        btnDelete.addEventListener('click', async () => {
+            if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+            try {
+                await this.storage.removeSnapshot(this.state.project.id, snapshot.id);
+                this.detailEl.innerHTML = '';
+                await this.refresh();
+            } catch (error) {
+                console.error('Failed to delete snapshot:', error);
+                this.showStatus(`Error: ${error.message}`, 'error');
             }
+        });
 
-            throw err;
-        }
+        actions.appendChild(btnRestore);
+        actions.appendChild(btnCopy);
+        actions.appendChild(btnDelete);
+        this.detailEl.appendChild(actions);
+    }
 
-        const result = await response.json();
+    renderDiff(diff) {
+        const container = document.createElement('div');
+        container.className = 'history-diff';
 
-        if (!result.success) {
-            const err = new Error(result.error || 'Unknown error from OpenAI API');
-            err.code = 'OPENAI_PROXY_ERROR';
-            throw err;
+        if (diff.isEmpty) {
+            const same = document.createElement('p');
+            same.className = 'help-text';
+            same.textContent = 'No differences from the current project.';
+            container.appendChild(same);
+            return container;
         }
 
-        return result.data.response;
+        const addList = (title, items, className) => {
+            if (items.length === 0) return;
+            const section = document.createElement('div');
+            section.className = `diff-section ${className}`;
+            const label = document.createElement('strong');
+            label.textContent = title;
+            const list = document.createElement('ul');
+            items.forEach(text => {
+                const li = document.createElement('li');
+                li.textContent = text;
+                list.appendChild(li);
+            });
+            section.appendChild(label);
+            section.appendChild(list);
+            container.appendChild(section);
+        };
+
+        const describeValue = (value) => value === undefined ? '(unset)' : value;
+
+        addList('Pages added', diff.pagesAdded, 'diff-added');
+        addList('Pages removed', diff.pagesRemoved, 'diff-removed');
+        addList('Pages renamed', diff.pagesRenamed.map(r => `${r.from} → ${r.to}`), 'diff-changed');
+
+        diff.pages.forEach(page => {
+            const pageHeading = document.createElement('h5');
+            pageHeading.textContent = `Page: ${page.name}`;
+            container.appendChild(pageHeading);
+
+            addList('Added', page.added, 'diff-added');
+            addList('Removed', page.removed, 'diff-removed');
+            addList('Moved', page.moved, 'diff-moved');
+            addList('Changed', page.changed.flatMap(change => [
+                ...change.styles.map(s => `${change.element} ${s.property}: ${describeValue(s.from)} → ${describeValue(s.to)}`),
+                ...change.attributes.map(a => `${change.element} [${a.property}]: ${describeValue(a.from)} → ${describeValue(a.to)}`),
+                ...(change.text ? [`${change.element} text: "${change.text.from}" → "${change.text.to}"`] : [])
+            ]), 'diff-changed');
+        });
+
+        return container;
     }
-    
-    async parseAndApplyChanges(aiResponse) {
-        // Parse AI response for commands
-        const lines = aiResponse.split('\n');
-        let appliedChanges = 0;
-        let updatedElements = [];
-        
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            
-            // UPDATE command: UPDATE #element-id { property: value; }
-            const updateMatch = trimmedLine.match(/^UPDATE\s+#(\w+)\s*\{([^}]+)\}/i);
-            if (updateMatch) {
-                const elementId = updateMatch[1];
-                const cssProperties = updateMatch[2];
-                
-                if (this.updateElementStyles(elementId, cssProperties)) {
-                    appliedChanges++;
-                    updatedElements.push(elementId);
-                }
-                continue;
-            }
-            
-            // SET-TEXT command: SET-TEXT #element-id "text content"
-            const textMatch = trimmedLine.match(/^SET-TEXT\s+#(\w+)\s+"([^"]+)"/i);
-            if (textMatch) {
-                const elementId = textMatch[1];
-                const textContent = textMatch[2];
-                
-                if (this.updateElementText(elementId, textContent)) {
-                    appliedChanges++;
-                    updatedElements.push(elementId);
-                }
-                continue;
-            }
-            
-            // DELETE command: DELETE #element-id
-            const deleteMatch = trimmedLine.match(/^DELETE\s+#(\w+)/i);
-            if (deleteMatch) {
-                const elementId = deleteMatch[1];
-                
-                if (this.deleteElementById(elementId)) {
-                    appliedChanges++;
-                }
-                continue;
-            }
-            
-            // ADD command: ADD <element>content</element>
-            const addMatch = trimmedLine.match(/^ADD\s+(<[^>]+>.*<\/[^>]+>)/i);
-            if (addMatch) {
-                const elementHTML = addMatch[1];
-                
-                if (this.addElementFromHTML(elementHTML)) {
-                    appliedChanges++;
+
+    async restore(snapshot, parsed) {
+        if (!confirm(`Restore "${snapshot.name}"? The current state is kept as an automatic snapshot.`)) return;
+
+        await this.autoSnapshot(`Before restoring "${snapshot.name}"`);
+        this.editor.autosave.checkpoint();
+        this.state.loadProject(this.state.project, parsed.pages, parsed.activePageId);
+        this.editor.refreshPages();
+        this.editor.canvas.render(this.state);
+        this.editor.propertiesPanel.updateUI(null);
+        this.close();
+    }
+
+    openAsCopy(snapshot, parsed) {
+        if (!confirm('Open this snapshot as a new, unsaved project?')) return;
+
+        this.editor.autosave.checkpoint();
+        this.state.loadProject(ProjectFormat.createMeta(`${snapshot.name} (copy)`), parsed.pages, parsed.activePageId);
+        this.editor.refreshPages();
+        this.editor.canvas.render(this.state);
+        this.editor.propertiesPanel.updateUI(null);
+        this.close();
+    }
+}
+
+class EditHistoryPanel {
+    constructor(editor) {
+        this.editor = editor;
+        this.state = editor.state;
+        this.listEl = document.getElementById('edit-history-list');
+    }
+
+    // Undo entries oldest first, then the undone (redoable) ones greyed out; the current position is highlighted
+    render() {
+        const undoStack = this.state.undoStack;
+        const redoStack = this.state.redoStack;
+        const current = undoStack.length;
+        const entries = [{ label: 'Opened page' }, ...undoStack, ...[...redoStack].reverse()];
+
+        this.listEl.innerHTML = '';
+        entries.forEach((entry, position) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'edit-history-item';
+            if (position === current) item.classList.add('current');
+            if (position > current) item.classList.add('future');
+            item.textContent = entry.label;
+            if (entry.timestamp) item.title = new Date(entry.timestamp).toLocaleTimeString();
+
+            item.addEventListener('click', () => this.editor.jumpToHistory(position));
+            this.listEl.appendChild(item);
+        });
+
+        const currentItem = this.listEl.children[current];
+        if (currentItem && currentItem.scrollIntoView) currentItem.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Minimal ZIP writer (stored entries, no compression) so bundles can be built offline
+ */
+class ZipBuilder {
+    constructor() {
+        this.files = [];
+    }
+
+    static crc32(bytes) {
+        if (!ZipBuilder.crcTable) {
+            ZipBuilder.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
                 }
-                continue;
+                ZipBuilder.crcTable[n] = c >>> 0;
             }
         }
-        
-        // Show success message
-        if (appliedChanges > 0) {
-            this.showSuccessMessage(`Applied ${appliedChanges} changes to your canvas.`);
-            
-            // Highlight updated elements
-            this.highlightElements(updatedElements);
-        } else {
-            // No changes applied, just acknowledge
-            this.showInfoMessage('I understand your request, but no code changes were detected. You can be more specific about what you want to modify.');
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipBuilder.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
         }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
     }
-    
-    updateElementStyles(elementId, cssProperties) {
-        const element = this.state.findElementById(elementId);
-        if (!element) return false;
-        
-        this.state.saveState();
-        
-        // Parse CSS properties
-        const properties = cssProperties.split(';').map(prop => prop.trim()).filter(prop => prop);
-        const styles = {};
-        
-        properties.forEach(prop => {
-            const colonIndex = prop.indexOf(':');
-            if (colonIndex > 0) {
-                const key = prop.substring(0, colonIndex).trim();
-                const value = prop.substring(colonIndex + 1).trim();
-                styles[key] = value;
-            }
-        });
-        
-        this.editor.updateElement(elementId, { styles }, false);
-        this.canvas.render(this.state); // Ensure canvas re-renders
-        return true;
-    }
-    
-    updateElementText(elementId, textContent) {
-        const element = this.state.findElementById(elementId);
-        if (!element) return false;
-        
-        this.state.saveState();
-        this.editor.updateElement(elementId, { textContent }, false);
-        this.canvas.render(this.state); // Ensure canvas re-renders
-        return true;
+
+    addFile(name, content) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+        this.files.push({ name: new TextEncoder().encode(name), data });
     }
-    
-    deleteElementById(elementId) {
-        const element = this.state.findElementById(elementId);
-        if (!element || elementId === 'root-canvas') return false;
-        
-        this.state.saveState();
-        this.state.deleteElement(elementId);
-        this.canvas.render(this.state);
-        return true;
+
+    generate() {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const crc = ZipBuilder.crc32(file.data);
+
+            // Local file header; flag 0x0800 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(local, file.name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, file.name);
+
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, end], { type: 'application/zip' });
     }
-    
-    addElementFromHTML(elementHTML) {
-        try {
-            // Create a temporary div to parse HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = elementHTML;
-            const element = tempDiv.firstChild;
-            
-            if (!element || element.nodeType !== 1) return false;
-            
-            // Generate new ID for the element
-            const newId = 'el-' + Math.random().toString(36).substr(2, 9);
-            element.id = newId;
-            
-            // Create element object for EditorState
-            const newElement = {
-                tag: element.tagName.toLowerCase(),
-                id: newId,
-                styles: {},
-                children: [],
-                classes: [],
-                attributes: {}
-            };
-            
-            // Copy attributes
-            for (let attr of element.attributes) {
-                if (attr.name !== 'id') {
-                    newElement.attributes[attr.name] = attr.value;
-                }
-            }
-            
-            // Add text content if it's a text element
-            if (element.textContent && !['img', 'input', 'br', 'hr'].includes(element.tagName.toLowerCase())) {
-                newElement.textContent = element.textContent;
-            }
-            
-            this.state.saveState();
-            this.state.domTree.children.push(newElement);
-            this.canvas.render(this.state);
-            this.editor.selectElement(newId);
-            
-            return true;
-        } catch (error) {
-            console.error('Error adding element:', error);
-            return false;
-        }
+}
+
+// Bounds on shared-class detection, which runs each time the export dialog options change
+const SHARED_CLASS_MAX_SETS = 24; // distinct style sets compared with each other per round
+const SHARED_CLASS_MAX_CLASSES = 30;
+
+class ExportManager {
+    constructor(editorState) {
+        this.editorState = editorState;
+        this.voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+        // Phrasing elements stay on their parent's line in pretty output
+        this.inlineTags = ['a', 'abbr', 'b', 'br', 'button', 'cite', 'code', 'em', 'i', 'img', 'input', 'kbd', 'label', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'wbr'];
+        this.preformattedTags = ['pre', 'textarea'];
+        // Attributes listed here come first, in this order; the rest follow alphabetically
+        this.attributeOrder = ['id', 'class', 'name', 'type', 'href', 'src', 'alt', 'title', 'value', 'placeholder', 'for'];
     }
-    
-    addMessageToHistory(role, content) {
-        const message = {
-            role: role,
-            content: content,
-            timestamp: Date.now()
+
+    // Formatting chosen in the export dialog, saved with the project: { minify, indent }
+    get format() {
+        const saved = this.editorState.project.exportFormat || {};
+        return {
+            minify: saved.minify === true,
+            indent: saved.indent === 'tab' ? '\t' : ' '.repeat(saved.indent === '2' ? 2 : 4)
         };
-        
-        this.conversationHistory.push(message);
-        
-        // Limit history length
-        if (this.conversationHistory.length > this.maxHistoryLength) {
-            this.conversationHistory.shift();
-        }
-    }
-    
-    getConversationHistory() {
-        return this.conversationHistory;
-    }
-    
-    clearHistory() {
-        this.conversationHistory = [];
-        this.chatMessages.innerHTML = `
-            <div class="chat-welcome">
-                <p>Hello! I'm your AI assistant. I can help you modify your canvas design. Try asking me to:</p>
-                <ul>
-                    <li>Change colors or fonts</li>
-                    <li>Add new elements</li>
-                    <li>Modify layout and spacing</li>
-                    <li>Style existing elements</li>
-                </ul>
-                <p>Example: "Make the heading blue and increase its size"</p>
-            </div>
-        `;
-    }
-    
-    addMessageToUI(role, content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `chat-message ${role}`;
-        
-        const bubble = document.createElement('div');
-        bubble.className = 'message-bubble';
-        bubble.textContent = content;
-        
-        messageDiv.appendChild(bubble);
-        this.chatMessages.appendChild(messageDiv);
-        
-        // Scroll to bottom
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
     }
-    
-    addErrorMessage(content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'error-message';
-        messageDiv.textContent = content;
-        
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    generateHTML(domTree = this.editorState.domTree, options = {}) {
+        const tree = this.applySharedClasses(domTree, options.sharedClasses);
+        return this.renderDocument(tree, {
+            page: options.page,
+            styles: this.stylesheetRules(tree, options.sharedClasses),
+            bodyEnd: options.bodyEnd
+        });
     }
-    
-    addSuccessMessage(content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'success-message';
-        messageDiv.textContent = content;
-        
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    // Sandbox of preview frames: the page's scripts, forms and pop-ups work, but it never gets the editor's origin
+    static get previewSandbox() {
+        return 'allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox allow-modals';
     }
-    
-    showInfoMessage(content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'chat-message assistant';
-        messageDiv.innerHTML = `<div class="message-bubble">${content}</div>`;
-        
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    /**
+     * A page as exported, plus a script for what cannot work inside a preview frame: links to other
+     * pages of the project are sent to the frame's parent as PREVIEW_NAVIGATE messages, and links to
+     * other sites open in a new tab. Keys matching one of shortcuts are sent up as KEYDOWN messages,
+     * so editor commands such as leaving preview still work while the page has focus.
+     */
+    generatePreviewHTML(page = this.editorState.activePage, shortcuts = []) {
+        const keys = shortcuts.length === 0 ? '' : '<script>(function(){var keys=' + JSON.stringify(shortcuts).replace(/</g, '\\u003c') + ';' +
+            shortcutFromEvent.toString() +
+            'document.addEventListener("keydown",function(e){var t=e.target;' +
+            'if(e.defaultPrevented||t.isContentEditable||/^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))return;' +
+            'if(keys.indexOf(shortcutFromEvent(e))===-1)return;e.preventDefault();' +
+            'parent.postMessage({type:"KEYDOWN",init:{key:e.key,code:e.code,ctrlKey:e.ctrlKey,metaKey:e.metaKey,altKey:e.altKey,shiftKey:e.shiftKey}},"*");' +
+            '});})();</script>';
+        const script = '<script>document.addEventListener("click",function(e){' +
+            'var link=e.target.closest&&e.target.closest("a[href]");if(!link||e.defaultPrevented)return;' +
+            'var href=link.getAttribute("href"),page=/^([a-z0-9-]+)\\.html(#.*)?$/.exec(href);' +
+            'if(page){e.preventDefault();parent.postMessage({type:"PREVIEW_NAVIGATE",slug:page[1]},"*");}' +
+            'else if(/^https?:/i.test(href)&&!link.target){e.preventDefault();window.open(href,"_blank");}' +
+            '});</script>';
+        return this.generateHTML(page.domTree, { page, bodyEnd: [script + keys] });
     }
-    
-    showSuccessMessage(content) {
-        this.addSuccessMessage(content);
+
+    // Document for a preview tab: every page of the project, shown one at a time in a sandboxed frame
+    generatePreviewWindow(page = this.editorState.activePage) {
+        const pages = {};
+        this.editorState.pages.forEach(p => {
+            pages[p.slug] = { title: (p.settings && p.settings.title) || p.name, html: this.generatePreviewHTML(p) };
+        });
+        // Escaped so page content can never close the script element
+        const data = JSON.stringify({ pages, start: page.slug }).replace(/</g, '\\u003c');
+
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>Preview: ${ExportManager.escapeHtml(pages[page.slug].title)}</title>`,
+            '<style>html, body { margin: 0; height: 100%; } iframe { display: block; width: 100%; height: 100%; border: 0; }</style>',
+            '</head>',
+            '<body>',
+            `<iframe id="preview" sandbox="${ExportManager.previewSandbox}" title="Preview"></iframe>`,
+            '<script>',
+            `var data = ${data};`,
+            'var frame = document.getElementById("preview");',
+            'function show(slug) {',
+            '    if (!data.pages[slug]) return;',
+            '    frame.srcdoc = data.pages[slug].html;',
+            '    document.title = "Preview: " + data.pages[slug].title;',
+            '}',
+            'window.addEventListener("message", function (e) {',
+            '    if (e.source === frame.contentWindow && e.data && e.data.type === "PREVIEW_NAVIGATE") show(e.data.slug);',
+            '});',
+            'show(data.start);',
+            '</script>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
     }
-    
-    showTypingIndicator() {
-        const typingDiv = document.createElement('div');
-        typingDiv.className = 'typing-indicator';
-        typingDiv.id = 'typing-indicator';
-        
-        typingDiv.innerHTML = `
-            <span>AI is thinking</span>
-            <div class="typing-dots">
-                <div class="typing-dot"></div>
-                <div class="typing-dot"></div>
-                <div class="typing-dot"></div>
-            </div>
-        `;
-        
-        this.chatMessages.appendChild(typingDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    generateStylesheet(domTree, sharedClasses = []) {
+        return this.formatCSS(this.stylesheetRules(domTree, sharedClasses));
     }
-    
-    removeTypingIndicator() {
-        const typingIndicator = document.getElementById('typing-indicator');
-        if (typingIndicator) {
-            typingIndicator.remove();
-        }
+
+    stylesheetRules(domTree, sharedClasses = []) {
+        return [
+            { selector: 'html, body', declarations: [['margin', '0'], ['padding', '0'], ['height', '100%']] },
+            { selector: '*', declarations: [['box-sizing', 'border-box']] },
+            ...this.sharedClassRules(domTree, sharedClasses),
+            ...this.collectCSSRules(domTree)
+        ];
     }
-    
-    setInputState(enabled) {
-        this.chatInput.disabled = !enabled;
-        this.btnSendMessage.disabled = !enabled;
-        
-        if (enabled) {
-            this.chatInput.focus();
+
+    /**
+     * Style sets repeated on several elements, as [{ key, name, declarations, elementIds }].
+     * Greedy: elements are grouped by their style set, and the candidates are the sets of the
+     * largest groups plus what each two of those have in common. The candidate saving the most
+     * declarations becomes a class, its elements leave the pool, and the search repeats.
+     * savedNames maps a style set key to the name the user gave it on a previous export.
+     */
+    detectSharedClasses(domTrees, savedNames = {}, minDeclarations = 2) {
+        let pool = [];
+        const visit = (node) => {
+            if (node.id && node.id !== 'root-canvas' && node.styles && Object.keys(node.styles).length > 0) {
+                const tokens = Object.entries(node.styles)
+                    .map(([k, v]) => `${this.normalizeStyleKey(k)}:${v}`);
+                pool.push({ id: node.id, tag: node.tag, tokens: new Set(tokens) });
+            }
+            (node.children || []).forEach(visit);
+        };
+        domTrees.forEach(visit);
+
+        // A declaration found on one element only can never be shared
+        const counts = new Map();
+        pool.forEach(el => el.tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1)));
+        pool = pool
+            .map(el => ({ ...el, tokens: new Set([...el.tokens].filter(token => counts.get(token) > 1)) }))
+            .filter(el => el.tokens.size >= minDeclarations);
+
+        const shared = [];
+        const usedNames = new Set();
+        while (pool.length > 1 && shared.length < SHARED_CLASS_MAX_CLASSES) {
+            const groups = new Map();
+            pool.forEach(el => {
+                const tokens = [...el.tokens].sort();
+                const key = JSON.stringify(tokens);
+                if (!groups.has(key)) groups.set(key, { tokens, set: el.tokens, size: 0 });
+                groups.get(key).size++;
+            });
+            const sets = [...groups.values()]
+                .sort((a, b) => b.size - a.size)
+                .slice(0, SHARED_CLASS_MAX_SETS);
+
+            const candidates = new Map();
+            sets.forEach((set, i) => {
+                if (set.size > 1) candidates.set(JSON.stringify(set.tokens), set.tokens);
+                for (let j = i + 1; j < sets.length; j++) {
+                    const common = set.tokens.filter(token => sets[j].set.has(token));
+                    if (common.length >= minDeclarations) candidates.set(JSON.stringify(common), common);
+                }
+            });
+
+            // Members are counted per group, so each candidate costs one pass over the distinct sets
+            let best = null;
+            for (const [key, tokens] of candidates) {
+                let members = 0;
+                groups.forEach(group => {
+                    if (tokens.every(token => group.set.has(token))) members += group.size;
+                });
+                const saving = (members - 1) * tokens.length;
+                if (!best || saving > best.saving) {
+                    best = { key, tokens, saving };
+                }
+            }
+            if (!best || best.saving <= 0) break;
+
+            const members = pool.filter(el => best.tokens.every(token => el.tokens.has(token)));
+            const tag = members[0].tag;
+            let name = savedNames[best.key];
+            for (let n = 1; !name || usedNames.has(name); n++) {
+                name = `${tag}-style-${n}`;
+            }
+            usedNames.add(name);
+
+            shared.push({
+                key: best.key,
+                name,
+                declarations: best.tokens.map(token => {
+                    const colon = token.indexOf(':');
+                    return [token.slice(0, colon), token.slice(colon + 1)];
+                }),
+                elementIds: members.map(el => el.id)
+            });
+            pool = pool.filter(el => !members.includes(el));
         }
+
+        return shared;
     }
-    
-    highlightElements(elementIds) {
-        // This would highlight elements in the canvas
-        // Implementation depends on how the canvas rendering works
-        // For now, we'll just show a general success message
-        console.log('Highlighted elements:', elementIds);
+
+    // Copy of the tree where elements of a shared class carry it and keep only their own declarations
+    applySharedClasses(domTree, sharedClasses = []) {
+        if (!sharedClasses || sharedClasses.length === 0) return domTree;
+
+        const classById = new Map();
+        sharedClasses.forEach(cls => cls.elementIds.forEach(id => classById.set(id, cls)));
+
+        const apply = (node) => {
+            const copy = { ...node, children: (node.children || []).map(apply) };
+            const cls = classById.get(node.id);
+            if (cls) {
+                copy.classes = [...(node.classes || []), cls.name];
+                copy.styles = Object.fromEntries(Object.entries(node.styles).filter(([k, v]) =>
+                    !cls.declarations.some(([property, value]) => property === this.normalizeStyleKey(k) && value === String(v))));
+            }
+            return copy;
+        };
+        return apply(domTree);
     }
-}
 
-class EditorState {
-    constructor() {
-        this.domTree = {
-            tag: 'div',
-            id: 'root-canvas',
-            styles: {
-                'min-height': '100%',
-                'padding': '20px',
-                'background-color': '#ffffff'
-            },
-            children: [],
-            classes: []
+    // Rules for the shared classes used in this tree, written before the id rules
+    sharedClassRules(domTree, sharedClasses = []) {
+        if (!sharedClasses || sharedClasses.length === 0) return [];
+
+        const ids = new Set();
+        const visit = (node) => {
+            ids.add(node.id);
+            (node.children || []).forEach(visit);
         };
-        this.selectedElementId = null;
-        this.undoStack = [];
-        this.redoStack = [];
-        this.maxStackSize = 20;
+        visit(domTree);
+
+        return sharedClasses
+            .filter(cls => cls.elementIds.some(id => ids.has(id)))
+            .map(cls => ({ selector: `.${cls.name}`, declarations: cls.declarations }));
     }
 
-    saveState() {
-        this.undoStack.push(JSON.stringify(this.domTree));
-        if (this.undoStack.length > this.maxStackSize) {
-            this.undoStack.shift();
+    // Error message for an unusable class name, or null
+    validateClassName(name, takenNames) {
+        if (!/^-?[_a-zA-Z][_a-zA-Z0-9-]*$/.test(name)) {
+            return `"${name}" is not a valid CSS class name`;
         }
-        this.redoStack = [];
+        if (takenNames.has(name)) {
+            return `The class name "${name}" is already used`;
+        }
+        return null;
     }
 
-    undo() {
-        if (this.undoStack.length > 0) {
-            this.redoStack.push(JSON.stringify(this.domTree));
-            this.domTree = JSON.parse(this.undoStack.pop());
-            return true;
+    /**
+     * Full document around the page body. page supplies the title and metadata (the active page
+     * by default), head and bodyEnd are lists of extra tags, styles an optional rule list
+     * written into a <style> element.
+     */
+    renderDocument(domTree, { page = this.editorState.activePage, head = [], styles = null, bodyEnd = [] } = {}) {
+        const format = this.format;
+        const lang = ExportManager.escapeAttr((this.editorState.project.pageSettings || {}).lang || 'en');
+        const headTags = [...this.generateHeadTags(page), ...head];
+
+        if (format.minify) {
+            const styleTag = styles ? `<style>${this.formatCSS(styles, format)}</style>` : '';
+            return `<!DOCTYPE html><html lang="${lang}"><head>${headTags.join('')}${styleTag}</head>` +
+                `<body>${this.generateBodyHTML(domTree, 0, format)}${bodyEnd.join('')}</body></html>`;
+        }
+
+        if (styles) {
+            headTags.push(`<style>\n${this.indentLines(this.formatCSS(styles, format), format.indent)}\n</style>`);
         }
-        return false;
+
+        return [
+            '<!DOCTYPE html>',
+            `<html lang="${lang}">`,
+            '<head>',
+            this.indentLines(headTags.join('\n'), format.indent),
+            '</head>',
+            '<body>',
+            this.generateBodyHTML(domTree, 1, format),
+            ...bodyEnd.map(tag => format.indent + tag),
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
     }
 
-    redo() {
-        if (this.redoStack.length > 0) {
-            this.undoStack.push(JSON.stringify(this.domTree));
-            this.domTree = JSON.parse(this.redoStack.pop());
-            return true;
+    /**
+     * Metadata from the page settings (title, description, canonical URL, social cards) and the
+     * project-wide ones (favicon, site name, Twitter account, custom head snippets)
+     */
+    generateHeadTags(page) {
+        const settings = page.settings || {};
+        const site = this.editorState.project.pageSettings || {};
+        const meta = (attr, key, value) => value ? [`<meta ${attr}="${key}" content="${ExportManager.escapeAttr(value)}">`] : [];
+
+        const title = settings.title || page.name;
+        const description = settings.description || '';
+        const siteUrl = this.editorState.project.siteUrl || '';
+        const canonical = settings.canonicalUrl || (siteUrl ? this.pageUrl(page, siteUrl) : '');
+        const ogTitle = settings.ogTitle || title;
+        const ogDescription = settings.ogDescription || description;
+
+        const tags = [
+            '<meta charset="UTF-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            `<title>${ExportManager.escapeHtml(title)}</title>`,
+            ...meta('name', 'description', description)
+        ];
+        if (canonical) {
+            tags.push(`<link rel="canonical" href="${ExportManager.escapeAttr(canonical)}">`);
         }
-        return false;
+        if (site.favicon) {
+            tags.push(`<link rel="icon" href="${ExportManager.escapeAttr(site.favicon)}">`);
+        }
+
+        tags.push(
+            ...meta('property', 'og:type', 'website'),
+            ...meta('property', 'og:title', ogTitle),
+            ...meta('property', 'og:description', ogDescription),
+            ...meta('property', 'og:image', settings.ogImage),
+            ...meta('property', 'og:url', canonical),
+            ...meta('property', 'og:site_name', site.siteName)
+        );
+
+        if (settings.twitterCard) {
+            tags.push(
+                ...meta('name', 'twitter:card', settings.twitterCard),
+                ...meta('name', 'twitter:site', site.twitterSite),
+                ...meta('name', 'twitter:title', ogTitle),
+                ...meta('name', 'twitter:description', ogDescription),
+                ...meta('name', 'twitter:image', settings.ogImage)
+            );
+        }
+
+        if (site.headHtml && site.headHtml.trim()) {
+            tags.push(site.headHtml.trim());
+        }
+        return tags;
     }
 
-    findElementById(id, node = this.domTree) {
-        if (node.id === id) return node;
-        if (node.children) {
-            for (let child of node.children) {
-                const found = this.findElementById(id, child);
-                if (found) return found;
+    indentLines(text, prefix) {
+        return text.split('\n').map(line => line ? prefix + line : line).join('\n');
+    }
+
+    /**
+     * Page split into index.html, styles.css, an optional script.js and assets/ with every
+     * referenced media file. Returns { files, warnings } for assets that could not be bundled.
+     */
+    async generateBundle(domTree = this.editorState.domTree, options = {}) {
+        const tree = JSON.parse(JSON.stringify(this.applySharedClasses(domTree, options.sharedClasses)));
+        const warnings = [];
+        const assetPaths = new Map();
+        const files = [];
+        const usedNames = new Set();
+
+        for (const url of this.collectAssetUrls(tree)) {
+            try {
+                const asset = await this.fetchAsset(url);
+                const path = `assets/${this.uniqueAssetName(asset.name, usedNames)}`;
+                assetPaths.set(url, path);
+                files.push({ name: path, content: asset.data });
+            } catch (error) {
+                warnings.push(`${url.startsWith('data:') ? 'Embedded file' : url}: ${error.message} (kept the original URL)`);
             }
         }
-        return null;
+
+        this.rewriteAssetUrls(tree, assetPaths);
+
+        const head = ['<link rel="stylesheet" href="styles.css">'];
+        const bodyEnd = options.includeScript ? ['<script src="script.js"></script>'] : [];
+        files.unshift({ name: 'styles.css', content: `${this.generateStylesheet(tree, options.sharedClasses)}\n` });
+        if (options.includeScript) {
+            files.unshift({ name: 'script.js', content: this.generateScript() });
+        }
+        files.unshift({ name: 'index.html', content: this.renderDocument(tree, { page: options.page, head, bodyEnd }) });
+
+        return { files, warnings };
     }
 
-    deleteElement(id) {
-        if (id === 'root-canvas') return false;
-        this.saveState();
-        
-        const deleteFromParent = (node) => {
-            if (node.children) {
-                const index = node.children.findIndex(child => child.id === id);
-                if (index !== -1) {
-                    node.children.splice(index, 1);
-                    return true;
-                }
-                for (let child of node.children) {
-                    if (deleteFromParent(child)) return true;
-                }
+    isAssetTag(tag) {
+        return ['img', 'video', 'audio', 'source', 'track'].includes(tag);
+    }
+
+    collectAssetUrls(node, urls = new Set()) {
+        if (this.isAssetTag(node.tag) && node.attributes) {
+            ['src', 'poster'].forEach(attr => {
+                const value = node.attributes[attr];
+                if (value && this.isBundlableUrl(value)) urls.add(value);
+            });
+        }
+
+        Breakpoints.styleMaps(node).flatMap(Object.values).forEach(value => {
+            for (const match of String(value).matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+                if (this.isBundlableUrl(match[2])) urls.add(match[2]);
             }
-            return false;
-        };
+        });
 
-        const success = deleteFromParent(this.domTree);
-        if (success) {
-            this.selectedElementId = null;
+        if (node.children) {
+            node.children.forEach(child => this.collectAssetUrls(child, urls));
         }
-        return success;
+        return urls;
     }
 
-    cloneElement(id) {
-        const original = this.findElementById(id);
-        if (!original || id === 'root-canvas') return false;
-        
-        this.saveState();
-        const clone = JSON.parse(JSON.stringify(original));
-        
-        const regenerateIds = (node) => {
-            node.id = 'el-' + Math.random().toString(36).substr(2, 9);
-            if (node.children) {
-                node.children.forEach(regenerateIds);
-            }
-        };
-        regenerateIds(clone);
+    isBundlableUrl(url) {
+        return /^(data:|https?:)/i.test(url) || !/^[a-z][a-z0-9+.-]*:|^#|^\/\//i.test(url);
+    }
 
-        const addToParent = (node) => {
-            if (node.children) {
-                const index = node.children.findIndex(child => child.id === id);
-                if (index !== -1) {
-                    node.children.splice(index + 1, 0, clone);
-                    return true;
-                }
-                for (let child of node.children) {
-                    if (addToParent(child)) return true;
+    rewriteAssetUrls(node, assetPaths) {
+        if (this.isAssetTag(node.tag) && node.attributes) {
+            ['src', 'poster'].forEach(attr => {
+                if (assetPaths.has(node.attributes[attr])) {
+                    node.attributes[attr] = assetPaths.get(node.attributes[attr]);
                 }
-            }
-            return false;
-        };
+            });
+        }
 
-        return addToParent(this.domTree);
-    }
-}
+        Breakpoints.styleMaps(node).forEach(styles => {
+            Object.entries(styles).forEach(([key, value]) => {
+                styles[key] = String(value).replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (match, quote, url) =>
+                    assetPaths.has(url) ? `url("${assetPaths.get(url)}")` : match);
+            });
+        });
 
-class DOMRenderer {
-    static normalizeStyleKey(key) {
-        if (!key) return key;
-        if (key.includes('-')) return key;
-        return key.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`);
+        if (node.children) {
+            node.children.forEach(child => this.rewriteAssetUrls(child, assetPaths));
+        }
     }
 
-    static renderToHTML(node, isSelectedId) {
-        const styleString = Object.entries(node.styles || {})
-            .map(([k, v]) => `${DOMRenderer.normalizeStyleKey(k)}:${v}`)
-            .join(';');
-        
-        const classString = [...(node.classes || []), isSelectedId === node.id ? 'selected-element-highlight' : ''].join(' ').trim();
-        
-        let attrString = '';
-        if (node.attributes) {
-            attrString = Object.entries(node.attributes)
-                .map(([k, v]) => `${k}="${v}"`)
-                .join(' ');
+    async fetchAsset(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw new Error('could not be downloaded');
+        }
+        if (!response.ok) {
+            throw new Error(`download failed (HTTP ${response.status})`);
         }
 
-        const tag = node.tag;
-        const selfClosing = ['img', 'br', 'hr', 'input'].includes(tag);
-        
-        let html = `<${tag} id="${node.id}" class="${classString}" style="${styleString}" ${attrString}`;
-        
-        if (selfClosing) {
-            html += ' />';
-        } else {
-            html += '>';
-            if (node.textContent) {
-                html += node.textContent;
+        const blob = await response.blob();
+        const data = new Uint8Array(await blob.arrayBuffer());
+
+        const extensions = {
+            'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp',
+            'image/svg+xml': 'svg', 'image/avif': 'avif', 'image/x-icon': 'ico',
+            'video/mp4': 'mp4', 'video/webm': 'webm', 'video/ogg': 'ogv',
+            'audio/mpeg': 'mp3', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/webm': 'weba',
+            'text/vtt': 'vtt'
+        };
+        const mime = (blob.type || '').split(';')[0].trim();
+
+        let name = 'asset';
+        let ext = extensions[mime] || 'bin';
+        if (!url.startsWith('data:')) {
+            const path = url.split(/[?#]/)[0];
+            let fileName = path.substring(path.lastIndexOf('/') + 1);
+            try {
+                fileName = decodeURIComponent(fileName);
+            } catch (e) {
+                // A stray % that is not an escape: keep the name as written
             }
-            if (node.children) {
-                node.children.forEach(child => {
-                    html += DOMRenderer.renderToHTML(child, isSelectedId);
-                });
+            const match = fileName.match(/^(.+?)(?:\.([a-z0-9]{2,5}))?$/i);
+            if (match) {
+                name = match[1];
+                if (match[2]) ext = match[2].toLowerCase();
             }
-            html += `</${tag}>`;
         }
-        
-        return html;
-    }
 
-    static getFullHTML(rootNode, isSelectedId) {
-        const content = DOMRenderer.renderToHTML(rootNode, isSelectedId);
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <style>
-                    body, html { margin: 0; padding: 0; height: 100%; }
-                    .selected-element-highlight {
-                        outline: 2px solid #007acc !important;
-                        outline-offset: -2px !important;
-                        box-shadow: 0 0 5px rgba(0,122,204,0.5) !important;
-                    }
-                    [data-drag-over="true"] {
-                        background-color: rgba(0, 122, 204, 0.1) !important;
-                        outline: 2px dashed #007acc !important;
-                    }
-                    /* Ensure all elements are selectable even if empty */
-                    *:empty:not(img):not(input):not(br):not(hr) {
-                        min-height: 20px;
-                        min-width: 20px;
-                        outline: 1px dashed #ccc;
-                    }
-                </style>
-            </head>
-            <body>
-                ${content}
-                <script>
-                    // Media loading fallbacks
-                    const createPlaceholder = (label) => {
-                        const svg =
-                            '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="300">' +
-                            '<rect width="100%" height="100%" fill="#f1f1f1" />' +
-                            '<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" fill="#666" font-family="Arial" font-size="20">' +
-                            String(label) +
-                            '</text>' +
-                            '</svg>';
-                        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
-                    };
+        return { name: `${name.replace(/[^\w.-]+/g, '_')}.${ext}`, data, type: mime || 'application/octet-stream' };
+    }
 
-                    const IMG_PLACEHOLDER = createPlaceholder('Invalid image URL');
-                    const VIDEO_POSTER_PLACEHOLDER = createPlaceholder('Invalid video URL');
+    uniqueAssetName(name, usedNames) {
+        const dot = name.lastIndexOf('.');
+        const base = name.substring(0, dot);
+        const ext = name.substring(dot);
+        let candidate = name;
+        let n = 2;
+        while (usedNames.has(candidate)) {
+            candidate = `${base}-${n++}${ext}`;
+        }
+        usedNames.add(candidate);
+        return candidate;
+    }
 
-                    const attachMediaFallbacks = () => {
-                        document.querySelectorAll('img').forEach((img) => {
-                            const currentSrc = img.getAttribute('src') || '';
-                            if (!currentSrc.trim()) {
-                                img.src = IMG_PLACEHOLDER;
-                            }
+    // Optional script.js for bundles: the same broken-media fallbacks the canvas uses
+    generateScript() {
+        return `(function () {
+    var IMG_PLACEHOLDER = ${JSON.stringify(DOMRenderer.createPlaceholder('Image not available'))};
+    var VIDEO_POSTER_PLACEHOLDER = ${JSON.stringify(DOMRenderer.createPlaceholder('Video not available'))};
+
+    document.querySelectorAll('img').forEach(function (img) {
+        img.addEventListener('error', function () {
+            img.src = IMG_PLACEHOLDER;
+        }, { once: true });
+    });
+
+    document.querySelectorAll('video').forEach(function (video) {
+        video.addEventListener('error', function () {
+            video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
+        }, { once: true });
+    });
+})();
+`;
+    }
 
-                            img.addEventListener('error', () => {
-                                img.src = IMG_PLACEHOLDER;
-                            }, { once: true });
+    /**
+     * Every page as its own HTML file, ready to be zipped, plus a sitemap when siteUrl is absolute
+     * (sitemaps only accept full URLs). With options.embed each page carries its assets as data URIs.
+     * Returns { files, warnings }.
+     */
+    async generateSite(siteUrl = '', options = {}) {
+        const files = [];
+        const warnings = [];
+        for (const page of this.editorState.pages) {
+            const result = await this.generateStandaloneHTML(page.domTree, { ...options, page });
+            files.push({ name: `${page.slug}.html`, content: result.html });
+            warnings.push(...result.warnings.map(warning => `${page.name}: ${warning}`));
+        }
+        if (/^https?:\/\/[^/]/i.test(siteUrl.trim())) {
+            files.push({ name: 'sitemap.xml', content: this.generateSitemap(siteUrl) });
+        } else {
+            warnings.push('sitemap.xml was left out: set an absolute site URL (https://...) to include it.');
+        }
+        return { files, warnings: [...new Set(warnings)] };
+    }
 
-                            // If the image already errored before we attached listeners
-                            if (img.complete && img.naturalWidth === 0) {
-                                img.src = IMG_PLACEHOLDER;
-                            }
-                        });
+    // Single HTML file, with assets inlined when options.embed is set. Returns { html, warnings }.
+    async generateStandaloneHTML(domTree = this.editorState.domTree, options = {}) {
+        if (!options.embed) {
+            return { html: this.generateHTML(domTree, options), warnings: [] };
+        }
+        const embedded = await this.embedAssets(domTree, options.embed);
+        return { html: this.generateHTML(embedded.tree, options), warnings: embedded.warnings };
+    }
 
-                        document.querySelectorAll('video').forEach((video) => {
-                            if (!video.hasAttribute('controls')) {
-                                video.setAttribute('controls', '');
-                            }
+    /**
+     * Copy of the tree with images inlined as data URIs, plus audio, video and subtitle files up to
+     * maxMediaBytes when includeMedia is set. Anything left out keeps its URL and gets a warning,
+     * except media that was not asked for.
+     */
+    async embedAssets(domTree, { includeMedia = false, maxMediaBytes = 1048576 } = {}) {
+        const tree = JSON.parse(JSON.stringify(domTree));
+        const mediaUrls = this.collectMediaUrls(tree);
+        const dataUris = new Map();
+        const warnings = [];
+
+        for (const url of this.collectAssetUrls(tree)) {
+            if (url.startsWith('data:')) continue;
+            const isMedia = mediaUrls.has(url);
+            if (isMedia && !includeMedia) continue;
+
+            const placeholder = this.legacyPlaceholder(url);
+            if (placeholder) {
+                dataUris.set(url, placeholder);
+                continue;
+            }
 
-                            const currentSrc = video.getAttribute('src') || '';
-                            if (!currentSrc.trim()) {
-                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
-                            }
+            try {
+                const asset = await this.fetchAsset(url);
+                if (isMedia && asset.data.length > maxMediaBytes) {
+                    warnings.push(`${url}: ${this.formatBytes(asset.data.length)} is over the ${this.formatBytes(maxMediaBytes)} media limit (kept the original URL)`);
+                    continue;
+                }
+                dataUris.set(url, this.toDataUri(asset));
+            } catch (error) {
+                warnings.push(`${url}: ${error.message} (kept the original URL)`);
+            }
+        }
 
-                            video.addEventListener('error', () => {
-                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
-                            }, { once: true });
+        this.rewriteAssetUrls(tree, dataUris);
+        return { tree, warnings };
+    }
 
-                            // If the video already errored before we attached listeners
-                            if (video.error) {
-                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
-                            }
-                        });
-                    };
+    collectMediaUrls(node, urls = new Set()) {
+        if (['video', 'audio', 'source', 'track'].includes(node.tag) && node.attributes && node.attributes.src) {
+            urls.add(node.attributes.src);
+        }
+        (node.children || []).forEach(child => this.collectMediaUrls(child, urls));
+        return urls;
+    }
 
-                    attachMediaFallbacks();
+    // Images added before the local placeholder existed point at the retired via.placeholder.com service
+    legacyPlaceholder(url) {
+        const match = url.match(/^https?:\/\/via\.placeholder\.com\/(\d+)(?:x(\d+))?/i);
+        if (!match) return null;
+        const width = Number(match[1]);
+        return DOMRenderer.createPlaceholder(`${width} × ${match[2] || width}`, width, Number(match[2] || width));
+    }
 
-                    // Communication with parent
-                    window.addEventListener('click', (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        const id = e.target.id;
-                        if (id) {
-                            window.parent.postMessage({ type: 'SELECT_ELEMENT', id: id }, '*');
-                        }
-                    });
+    toDataUri(asset) {
+        let binary = '';
+        for (let i = 0; i < asset.data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, asset.data.subarray(i, i + 0x8000));
+        }
+        return `data:${asset.type};base64,${btoa(binary)}`;
+    }
 
-                    // Drag & Drop handlers
-                    window.addEventListener('dragover', (e) => {
-                        e.preventDefault();
-                        const target = e.target.closest('*');
-                        if (target && target.id) {
-                            target.setAttribute('data-drag-over', 'true');
-                        }
-                    });
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1048576) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1048576).toFixed(1)} MB`;
+    }
 
-                    window.addEventListener('dragleave', (e) => {
-                        const target = e.target.closest('*');
-                        if (target) {
-                            target.removeAttribute('data-drag-over');
-                        }
-                    });
+    generateSitemap(siteUrl = '') {
+        const lastmod = new Date().toISOString().slice(0, 10);
+        const urls = this.editorState.pages.map(page => {
+            return `    <url>\n        <loc>${ExportManager.escapeAttr(this.pageUrl(page, siteUrl))}</loc>\n        <lastmod>${lastmod}</lastmod>\n    </url>`;
+        });
 
-                    window.addEventListener('drop', (e) => {
-                        e.preventDefault();
-                        const target = e.target.closest('*');
-                        if (target) {
-                            target.removeAttribute('data-drag-over');
-                            const tag = e.dataTransfer.getData('text/plain');
-                            const type = e.dataTransfer.getData('text/type');
-                            if (tag) {
-                                window.parent.postMessage({ 
-                                    type: 'ADD_ELEMENT', 
-                                    tag: tag, 
-                                    parentId: target.id,
-                                    inputType: type
-                                }, '*');
-                            }
-                        }
-                    });
-                </script>
-            </body>
-            </html>
-        `;
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
     }
-}
 
-class ElementLibrary {
-    constructor(editor) {
-        this.editor = editor;
-        this.init();
+    pageUrl(page, siteUrl) {
+        const base = siteUrl.trim().replace(/\/+$/, '');
+        return base + (page.slug === 'index' ? '/' : `/${page.slug}.html`);
     }
 
-    init() {
-        document.querySelectorAll('.draggable-element').forEach(el => {
-            el.setAttribute('draggable', 'true');
-            el.addEventListener('dragstart', (e) => {
-                e.dataTransfer.setData('text/plain', el.dataset.tag);
-                if (el.dataset.type) {
-                    e.dataTransfer.setData('text/type', el.dataset.type);
-                }
-            });
+    // Links to other pages are stored as "page:<pageId>" and become relative file names on export
+    resolveHref(href) {
+        if (!href.startsWith('page:')) return href;
+        const page = this.editorState.findPage(href.slice(5));
+        return page ? `${page.slug}.html` : '#';
+    }
 
-            // Handle clicking for Add Element button (Modal functionality)
-            el.addEventListener('click', () => {
-                if (document.getElementById('element-modal').classList.contains('hidden') === false) {
-                    this.editor.addElement(el.dataset.tag, this.editor.state.selectedElementId || 'root-canvas', el.dataset.type);
-                    document.getElementById('element-modal').classList.add('hidden');
-                }
-            });
-        });
+    normalizeStyleKey(key) {
+        if (!key) return key;
+        if (key.includes('-')) return key;
+        return key.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`);
     }
-}
 
-class PropertiesPanel {
-    constructor(editor) {
-        this.editor = editor;
-        this.inputs = {
-            textContent: document.getElementById('prop-text-content'),
-            width: document.getElementById('prop-width'),
-            height: document.getElementById('prop-height'),
-            padding: document.getElementById('prop-padding'),
-            margin: document.getElementById('prop-margin'),
-            color: document.getElementById('prop-color'),
-            background: document.getElementById('prop-background'),
-            fontSize: document.getElementById('prop-font-size'),
-            textAlign: document.getElementById('prop-text-align'),
-            display: document.getElementById('prop-display'),
-            border: document.getElementById('prop-border'),
-            borderRadius: document.getElementById('prop-border-radius')
+    /**
+     * One { selector, declarations: [[property, value]] } rule per styled element, followed by
+     * { media, rules } blocks: the tablet then the mobile overrides, and the elements hidden on a view
+     */
+    collectCSSRules(node) {
+        const widths = Breakpoints.widths(this.editorState.project);
+        const layers = { desktop: [], tablet: [], mobile: [] };
+        const hidden = { desktop: [], tablet: [], mobile: [] };
+        const visit = (el) => {
+            if (el.id) {
+                Breakpoints.names.forEach(name => {
+                    const styles = Breakpoints.layer(el, name);
+                    if (Object.keys(styles).length > 0) {
+                        layers[name].push({
+                            selector: `#${el.id}`,
+                            declarations: Object.entries(styles).map(([k, v]) => [this.normalizeStyleKey(k), String(v)])
+                        });
+                    }
+                    if (Breakpoints.isHidden(el, name)) hidden[name].push(`#${el.id}`);
+                });
+            }
+            (el.children || []).forEach(visit);
         };
-        this.breadcrumb = document.getElementById('element-breadcrumb');
-        this.form = document.getElementById('properties-form');
+        visit(node);
 
-        this.mediaSrcGroup = this.createMediaSrcField();
-        this.mediaSrcLabel = this.mediaSrcGroup.querySelector('label');
-        this.inputs.mediaSrc = this.mediaSrcGroup.querySelector('input');
-
-        this.init();
-    }
-
-    init() {
-        Object.entries(this.inputs).forEach(([key, input]) => {
-            input.addEventListener('input', () => {
-                this.updateSelectedElement(false);
-            });
-            input.addEventListener('change', () => {
-                this.updateSelectedElement(true);
-            });
+        const rules = [...layers.desktop];
+        ['tablet', 'mobile'].forEach(name => {
+            if (layers[name].length > 0) rules.push({ media: Breakpoints.mediaQuery(name, widths), rules: layers[name] });
         });
-
-        document.getElementById('btn-delete-element').addEventListener('click', () => {
-            if (confirm('Delete selected element?')) {
-                this.editor.deleteSelected();
+        Breakpoints.names.forEach(name => {
+            if (hidden[name].length > 0) {
+                rules.push({
+                    media: Breakpoints.rangeQuery(name, widths),
+                    rules: [{ selector: hidden[name].join(', '), declarations: [['display', 'none !important']] }]
+                });
             }
         });
+        return rules;
+    }
 
-        document.getElementById('btn-clone-element').addEventListener('click', () => {
-            this.editor.cloneSelected();
-        });
+    formatCSS(rules, format = this.format) {
+        if (format.minify) {
+            return rules
+                .filter(rule => (rule.media ? rule.rules : rule.declarations).length > 0)
+                .map(rule => {
+                    if (rule.media) return `@media ${rule.media.replace(/\s*:\s*/g, ':')}{${this.formatCSS(rule.rules, format)}}`;
+                    const body = rule.declarations.map(([property, value]) => `${property}:${this.minifyCSSValue(value)}`);
+                    return `${this.minifySelector(rule.selector)}{${body.join(';')}}`;
+                })
+                .join('');
+        }
+
+        return rules
+            .map(rule => {
+                if (rule.media) return `@media ${rule.media} {\n${this.indentLines(this.formatCSS(rule.rules, format), format.indent)}\n}`;
+                const body = rule.declarations.map(([property, value]) => `${format.indent}${property}: ${value};`);
+                return `${rule.selector} {\n${body.join('\n')}\n}`;
+            })
+            .join('\n\n');
     }
 
-    createMediaSrcField() {
-        const group = document.createElement('div');
-        group.className = 'property-group hidden';
-        group.id = 'prop-media-src-group';
+    minifySelector(selector) {
+        return selector.trim().replace(/\s*([,>+~])\s*/g, '$1').replace(/\s+/g, ' ');
+    }
 
-        const label = document.createElement('label');
-        label.textContent = 'Media URL';
+    // Quoted strings and url() are copied untouched; units are kept inside calc() and var()
+    minifyCSSValue(value) {
+        const keepUnits = /calc\(|var\(/i.test(value);
+        return String(value).trim()
+            .split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|url\([^)]*\))/i)
+            .map((part, i) => {
+                if (i % 2 === 1) return part;
+                let out = part
+                    .replace(/\s+/g, ' ')
+                    .replace(/\s*,\s*/g, ',')
+                    .replace(/\s*!important/gi, '!important')
+                    .replace(/#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3\b/gi, '#$1$2$3')
+                    .replace(/(^|[\s,(-])0+\.(\d)/g, '$1.$2');
+                if (!keepUnits) {
+                    out = out.replace(/(^|[\s,(])0(?:px|em|rem|pt|vw|vh)(?=$|[\s,)])/g, '$10');
+                }
+                return out;
+            })
+            .join('');
+    }
 
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.id = 'prop-media-src';
-        input.placeholder = 'https://...';
+    // Shared by everything that writes HTML: export, the canvas renderer and the clipboard
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
 
-        group.appendChild(label);
-        group.appendChild(input);
+    // Vue templates read "{{" in text as an interpolation
+    escapeText(text, format) {
+        const html = ExportManager.escapeHtml(text);
+        return format.escapeInterpolation ? html.replace(/\{\{/g, '{&#123;') : html;
+    }
 
-        const actionsEl = this.form.querySelector('.actions');
-        if (actionsEl) {
-            this.form.insertBefore(group, actionsEl);
-        } else {
-            this.form.appendChild(group);
+    static escapeAttr(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Serialize a node. Pretty output puts block elements on their own indented lines and keeps
+     * text-only or phrasing content on one line; minified output has no formatting whitespace.
+     */
+    generateBodyHTML(node, depth = 0, format = this.format) {
+        if (format.minify) {
+            return this.serializeInline(node, format, true);
         }
 
-        return group;
+        const pad = format.indent.repeat(depth);
+        if (this.isInlineContent(node)) {
+            return pad + this.serializeInline(node, format, false);
+        }
+
+        const lines = [`${pad}${this.openTag(node, false)}`];
+        if (node.textContent) {
+            lines.push(format.indent.repeat(depth + 1) + this.escapeText(node.textContent, format));
+        }
+        node.children.forEach(child => lines.push(this.generateBodyHTML(child, depth + 1, format)));
+        lines.push(`${pad}</${node.tag}>`);
+
+        return lines.join('\n');
     }
 
-    updateUI(element) {
-        if (!element) {
-            this.form.classList.add('hidden');
-            this.breadcrumb.textContent = 'No element selected';
-            this.mediaSrcGroup.classList.add('hidden');
+    // Markup and styles for a few elements, as copied to the clipboard
+    generateFragment(nodes, format = this.format) {
+        const rules = nodes.flatMap(node => this.collectCSSRules(node));
+        const markup = nodes.map(node => this.generateBodyHTML(node, 0, format)).join(format.minify ? '' : '\n');
+        return rules.length ? `<style>${format.minify ? '' : '\n'}${this.formatCSS(rules, format)}${format.minify ? '' : '\n'}</style>${format.minify ? '' : '\n'}${markup}` : markup;
+    }
+
+    isInlineContent(node) {
+        if (this.preformattedTags.includes(node.tag)) return true;
+        return (node.children || []).every(child => this.inlineTags.includes(child.tag) && this.isInlineContent(child));
+    }
+
+    serializeInline(node, format, collapseWhitespace) {
+        const open = this.openTag(node, format.minify);
+        if (this.voidTags.includes(node.tag)) return open;
+
+        // Whitespace inside pre and textarea is content, never collapsed
+        const collapse = collapseWhitespace && !this.preformattedTags.includes(node.tag);
+        let text = node.textContent ? this.escapeText(node.textContent, format) : '';
+        if (collapse) {
+            text = text.replace(/\s+/g, ' ');
+        }
+        const children = (node.children || []).map(child => this.serializeInline(child, format, collapse)).join('');
+
+        return `${open}${text}${children}</${node.tag}>`;
+    }
+
+    openTag(node, minify) {
+        const attrString = this.orderedAttributes(node)
+            .map(([name, value]) => ` ${name}="${ExportManager.escapeAttr(value)}"`)
+            .join('');
+        const close = this.voidTags.includes(node.tag) && !minify ? ' />' : '>';
+        return `<${node.tag}${attrString}${close}`;
+    }
+
+    orderedAttributes(node) {
+        const attrs = [];
+        if (node.id) {
+            attrs.push(['id', node.id]);
+        }
+        if (node.classes && node.classes.length > 0) {
+            attrs.push(['class', node.classes.join(' ')]);
+        }
+        for (const [k, v] of Object.entries(node.attributes || {})) {
+            if (v === undefined || v === null || k === 'id' || k === 'class') continue;
+            attrs.push([k, k === 'href' ? this.resolveHref(String(v)) : String(v)]);
+        }
+
+        const rank = (name) => {
+            const index = this.attributeOrder.indexOf(name);
+            return index === -1 ? this.attributeOrder.length : index;
+        };
+        return attrs.sort((a, b) => rank(a[0]) - rank(b[0]) || a[0].localeCompare(b[0]));
+    }
+
+    downloadFile(htmlString, filename, mimeType = 'text/html') {
+        this.downloadBlob(new Blob([htmlString], { type: mimeType }), filename);
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * React and Vue component export. Walks the same tree as ExportManager.generateBodyHTML and
+ * uses the export dialog's indentation; components are always pretty-printed.
+ */
+class ComponentExporter {
+    constructor(exportManager) {
+        this.exportManager = exportManager;
+        // HTML attribute names that are spelled differently in JSX; data-* and aria-* stay as-is
+        this.jsxAttributeNames = {
+            accesskey: 'accessKey',
+            allowfullscreen: 'allowFullScreen',
+            autocomplete: 'autoComplete',
+            autofocus: 'autoFocus',
+            autoplay: 'autoPlay',
+            colspan: 'colSpan',
+            contenteditable: 'contentEditable',
+            crossorigin: 'crossOrigin',
+            datetime: 'dateTime',
+            enctype: 'encType',
+            for: 'htmlFor',
+            frameborder: 'frameBorder',
+            inputmode: 'inputMode',
+            maxlength: 'maxLength',
+            minlength: 'minLength',
+            novalidate: 'noValidate',
+            playsinline: 'playsInline',
+            readonly: 'readOnly',
+            referrerpolicy: 'referrerPolicy',
+            rowspan: 'rowSpan',
+            spellcheck: 'spellCheck',
+            srcset: 'srcSet',
+            tabindex: 'tabIndex',
+            usemap: 'useMap'
+        };
+        this.booleanAttributes = ['allowfullscreen', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'disabled', 'hidden', 'loop', 'multiple', 'muted', 'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected'];
+        this.formControlTags = ['input', 'select', 'textarea'];
+    }
+
+    static componentName(name) {
+        const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+        let result = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (!/^[A-Z]/.test(result)) {
+            result = `Page${result}`;
+        }
+        return result;
+    }
+
+    /**
+     * JSX functional component. Styles become inline style objects, or a companion
+     * <Name>.module.css with one class per styled element when cssModule is set.
+     * Returns the list of { name, content } files.
+     */
+    generateReact(domTree, componentName, { cssModule = false } = {}) {
+        const indent = this.exportManager.format.indent;
+        const lines = [];
+        if (cssModule) {
+            lines.push(`import styles from './${componentName}.module.css';`, '');
+        }
+        lines.push(
+            `export default function ${componentName}() {`,
+            `${indent}return (`,
+            this.toJSX(domTree, 2, indent, cssModule),
+            `${indent});`,
+            '}',
+            ''
+        );
+
+        const files = [{ name: `${componentName}.jsx`, content: lines.join('\n') }];
+        if (cssModule) {
+            const toClass = (rule) => rule.media
+                ? { ...rule, rules: rule.rules.map(toClass) }
+                : { ...rule, selector: rule.selector.replace(/#/g, '.') };
+            const rules = this.exportManager.collectCSSRules(domTree).map(toClass);
+            files.push({
+                name: `${componentName}.module.css`,
+                content: `${this.exportManager.formatCSS(rules, { minify: false, indent })}\n`
+            });
+        }
+        return files;
+    }
+
+    // Single-file component: the exported markup as template and the element rules as scoped style
+    generateVue(domTree, componentName) {
+        const format = { ...this.exportManager.format, minify: false, escapeInterpolation: true };
+        const css = this.exportManager.formatCSS(this.exportManager.collectCSSRules(domTree), format);
+
+        return [{
+            name: `${componentName}.vue`,
+            content: [
+                '<template>',
+                this.exportManager.generateBodyHTML(domTree, 1, format),
+                '</template>',
+                '',
+                '<script>',
+                'export default {',
+                `${format.indent}name: '${componentName}'`,
+                '};',
+                '</script>',
+                '',
+                '<style scoped>',
+                css,
+                '</style>',
+                ''
+            ].join('\n')
+        }];
+    }
+
+    toJSX(node, depth, indent, cssModule) {
+        const pad = indent.repeat(depth);
+        if (this.isSelfClosing(node) || this.exportManager.isInlineContent(node)) {
+            return pad + this.inlineJSX(node, cssModule);
+        }
+
+        const lines = [`${pad}<${node.tag}${this.jsxAttributes(node, cssModule)}>`];
+        if (node.textContent) {
+            lines.push(indent.repeat(depth + 1) + this.jsxText(node.textContent).trim());
+        }
+        node.children.forEach(child => lines.push(this.toJSX(child, depth + 1, indent, cssModule)));
+        lines.push(`${pad}</${node.tag}>`);
+
+        return lines.join('\n');
+    }
+
+    inlineJSX(node, cssModule) {
+        const attrs = this.jsxAttributes(node, cssModule);
+        if (this.isSelfClosing(node)) {
+            return `<${node.tag}${attrs} />`;
+        }
+
+        // JSX drops whitespace around line breaks, so preformatted text goes in as a string literal
+        const text = !node.textContent ? ''
+            : this.exportManager.preformattedTags.includes(node.tag) ? `{${this.jsString(node.textContent)}}`
+            : this.jsxText(node.textContent);
+        const children = (node.children || []).map(child => this.inlineJSX(child, cssModule)).join('');
+
+        return `<${node.tag}${attrs}>${text}${children}</${node.tag}>`;
+    }
+
+    // Void tags, and textarea whose text becomes defaultValue
+    isSelfClosing(node) {
+        return this.exportManager.voidTags.includes(node.tag) ||
+            (node.tag === 'textarea' && (!node.children || node.children.length === 0));
+    }
+
+    jsxAttributes(node, cssModule) {
+        const attrs = [];
+        const hasStyles = node.id && node.styles && Object.keys(node.styles).length > 0;
+        // Breakpoint overrides and hidden views only exist as module rules
+        const hasRules = node.id && Breakpoints.hasResponsiveRules(node, false);
+
+        for (const [name, value] of this.exportManager.orderedAttributes(node)) {
+            if (name === 'style' || name.startsWith('on')) continue;
+
+            if (name === 'class') {
+                if (!(cssModule && (hasStyles || hasRules))) attrs.push(`className=${this.jsxValue(value)}`);
+                continue;
+            }
+            if (this.booleanAttributes.includes(name) && ['', 'true', name].includes(value.toLowerCase())) {
+                attrs.push(this.jsxAttributeName(node, name));
+                continue;
+            }
+            attrs.push(`${this.jsxAttributeName(node, name)}=${this.jsxValue(value)}`);
+        }
+
+        if (node.tag === 'textarea' && node.textContent) {
+            attrs.push(`defaultValue={${this.jsString(node.textContent)}}`);
+        }
+
+        if ((hasStyles || hasRules) && cssModule) {
+            const moduleClass = `styles[${this.jsString(node.id)}]`;
+            const classes = (node.classes || []).join(' ');
+            attrs.splice(1, 0, classes
+                ? `className={\`\${${moduleClass}} ${classes.replace(/[`\\$]/g, '\\$&')}\`}`
+                : `className={${moduleClass}}`);
+        } else if (hasStyles) {
+            const entries = Object.entries(node.styles)
+                .map(([key, value]) => `${this.jsxStyleKey(key)}: ${this.jsString(String(value))}`);
+            attrs.push(`style={{ ${entries.join(', ')} }}`);
+        }
+
+        return attrs.map(attr => ` ${attr}`).join('');
+    }
+
+    // Uncontrolled form state so the component works without change handlers
+    jsxAttributeName(node, name) {
+        if (this.formControlTags.includes(node.tag)) {
+            if (name === 'value') return 'defaultValue';
+            if (name === 'checked') return 'defaultChecked';
+        }
+        return this.jsxAttributeNames[name] || name;
+    }
+
+    jsxValue(value) {
+        return /["&]/.test(value) ? `{${this.jsString(value)}}` : `"${value}"`;
+    }
+
+    jsxStyleKey(key) {
+        const property = this.exportManager.normalizeStyleKey(key);
+        if (property.startsWith('--')) return this.jsString(property);
+
+        const camel = property.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+        return property.startsWith('-ms-') ? `ms${camel.slice(2)}` : camel;
+    }
+
+    jsxText(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '{': '&#123;', '}': '&#125;' };
+        return text.replace(/\s+/g, ' ').replace(/[&<>{}]/g, c => entities[c]);
+    }
+
+    jsString(value) {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r/g, '\\r').replace(/\n/g, '\\n')}'`;
+    }
+}
+
+/**
+ * Attribute, URL and style allowlist for content the user did not type into the properties panel:
+ * AI operations, HTML imports and pasted elements. The canvas applies it to everything it renders.
+ */
+class HtmlSanitizer {
+    static get allowedAttributes() {
+        return [
+            'title', 'alt', 'lang', 'dir', 'role', 'tabindex', 'hidden',
+            'href', 'target', 'rel', 'download', 'hreflang',
+            'src', 'width', 'height', 'loading', 'decoding',
+            'controls', 'autoplay', 'loop', 'muted', 'playsinline', 'poster', 'preload',
+            'allow', 'allowfullscreen', 'frameborder', 'referrerpolicy',
+            'type', 'name', 'value', 'placeholder', 'for', 'action', 'method', 'autocomplete',
+            'checked', 'disabled', 'readonly', 'required', 'selected', 'multiple',
+            'min', 'max', 'step', 'minlength', 'maxlength', 'pattern', 'size', 'rows', 'cols', 'wrap', 'label',
+            'colspan', 'rowspan', 'headers', 'scope', 'start', 'reversed', 'cite', 'datetime', 'open'
+        ];
+    }
+
+    static get urlAttributes() {
+        return ['href', 'src', 'poster', 'action', 'cite'];
+    }
+
+    // Never rendered as such on the canvas
+    static get blockedTags() {
+        return ['script', 'style', 'link', 'meta', 'base', 'object', 'embed', 'applet', 'frame', 'frameset', 'template', 'noscript'];
+    }
+
+    static isAllowedTag(tag) {
+        return typeof tag === 'string' && /^[a-z][a-z0-9-]*$/.test(tag) && !HtmlSanitizer.blockedTags.includes(tag);
+    }
+
+    static isAllowedAttribute(name) {
+        return HtmlSanitizer.allowedAttributes.includes(name) ||
+            /^aria-[a-z-]+$/.test(name) ||
+            (/^data-[a-z0-9-]+$/.test(name) && !name.startsWith('data-layer-'));
+    }
+
+    // Relative URLs, web and contact links, project page links and media data URIs
+    static isSafeUrl(value) {
+        // Browsers ignore whitespace and control characters inside the scheme
+        const url = String(value).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+        const scheme = /^([a-z][a-z0-9+.-]*):/.exec(url);
+        if (!scheme) return true;
+        if (['http', 'https', 'mailto', 'tel', 'page'].includes(scheme[1])) return true;
+        return scheme[1] === 'data' && /^data:(image\/(png|gif|jpe?g|webp|avif|bmp|svg\+xml)|audio\/|video\/)/.test(url);
+    }
+
+    static isSafeStyleValue(value) {
+        return !/expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|[<>]/i.test(String(value));
+    }
+
+    // { attributes, rejected } where rejected names the attributes that were left out
+    static sanitizeAttributes(attributes) {
+        const result = {};
+        const rejected = [];
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            const key = name.toLowerCase();
+            if (!HtmlSanitizer.isAllowedAttribute(key) ||
+                (HtmlSanitizer.urlAttributes.includes(key) && !HtmlSanitizer.isSafeUrl(value))) {
+                rejected.push(name);
+            } else {
+                result[key] = value;
+            }
+        });
+        return { attributes: result, rejected };
+    }
+
+    static sanitizeStyles(styles) {
+        const result = {};
+        Object.entries(styles || {}).forEach(([key, value]) => {
+            if (/^-?-?[a-zA-Z][\w-]*$/.test(key) && HtmlSanitizer.isSafeStyleValue(value)) result[key] = value;
+        });
+        return result;
+    }
+
+    // Only the tablet and mobile layers, with safe values, and true hide flags for known views
+    static sanitizeBreakpoints(node) {
+        const layers = {};
+        ['tablet', 'mobile'].forEach(name => {
+            const styles = HtmlSanitizer.sanitizeStyles(((node.breakpointStyles || {})[name]) || {});
+            if (Object.keys(styles).length > 0) layers[name] = styles;
+        });
+        const hiddenOn = {};
+        Breakpoints.names.forEach(name => {
+            if ((node.hiddenOn || {})[name] === true) hiddenOn[name] = true;
+        });
+        delete node.breakpointStyles;
+        delete node.hiddenOn;
+        if (Object.keys(layers).length > 0) node.breakpointStyles = layers;
+        if (Object.keys(hiddenOn).length > 0) node.hiddenOn = hiddenOn;
+    }
+
+    // Cleans a node tree in place; returns null when the node itself is not allowed
+    static sanitizeNode(node) {
+        if (!HtmlSanitizer.isAllowedTag(node.tag)) return null;
+        node.attributes = HtmlSanitizer.sanitizeAttributes(node.attributes).attributes;
+        node.styles = HtmlSanitizer.sanitizeStyles(node.styles);
+        HtmlSanitizer.sanitizeBreakpoints(node);
+        node.classes = (node.classes || []).filter(name => typeof name === 'string' && /^-?[_a-zA-Z][\w-]*$/.test(name));
+        if (node.textContent !== undefined && typeof node.textContent !== 'string') delete node.textContent;
+        node.children = (node.children || []).map(child => HtmlSanitizer.sanitizeNode(child)).filter(Boolean);
+        return node;
+    }
+}
+
+class HtmlImporter {
+    constructor(existingIds = []) {
+        this.usedIds = new Set(existingIds);
+        this.droppedTags = ['script', 'style', 'link', 'meta', 'base', 'title', 'template', 'noscript', 'object', 'embed', 'slot'];
+        this.voidTags = ['img', 'br', 'hr', 'input', 'source', 'track', 'wbr', 'col', 'area'];
+        this.classRules = [];
+        this.idRules = [];
+        this.issues = new Map();
+        this.elementCount = 0;
+    }
+
+    // Convert kebab-case CSS property names to the camelCase keys used by the properties panel
+    static toStyleKey(property) {
+        const key = property.trim();
+        if (key.startsWith('--')) return key;
+        return key.toLowerCase().replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+    }
+
+    // Split a declaration block on semicolons that are not inside quotes or parentheses
+    static parseDeclarations(cssText) {
+        const styles = {};
+        const add = (declaration) => {
+            const colonIndex = declaration.indexOf(':');
+            if (colonIndex <= 0) return;
+            const key = declaration.substring(0, colonIndex).trim();
+            const value = declaration.substring(colonIndex + 1).trim();
+            if (key && value) {
+                styles[HtmlImporter.toStyleKey(key)] = value;
+            }
+        };
+
+        let current = '';
+        let depth = 0;
+        let quote = null;
+        for (const ch of cssText || '') {
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (ch === ';' && depth === 0) {
+                add(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        add(current);
+
+        return styles;
+    }
+
+    report(message, detail = null) {
+        const entry = this.issues.get(message) || { count: 0, details: new Set() };
+        entry.count++;
+        if (detail) entry.details.add(detail);
+        this.issues.set(message, entry);
+    }
+
+    /**
+     * Parse an HTML document or fragment into EditorState nodes.
+     * Returns { nodes, bodyStyles, summary } where summary lists everything that was not imported as-is.
+     */
+    importHTML(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        doc.querySelectorAll('style').forEach(styleEl => this.collectStyleRules(styleEl.textContent));
+        doc.querySelectorAll('head > *').forEach(el => {
+            const tag = el.tagName.toLowerCase();
+            if (tag !== 'style') {
+                this.report(`<${tag}> in <head> is not supported and was dropped`);
+            }
+        });
+
+        const nodes = this.convertChildren(doc.body, false).map(item => item.node || this.wrapText(item.text));
+        const bodyStyles = this.resolveStyles(doc.body);
+
+        for (const attr of doc.body.attributes) {
+            if (!['style', 'class', 'id'].includes(attr.name)) {
+                this.report('Attributes on <body> were dropped', attr.name);
+            }
+        }
+
+        return {
+            nodes,
+            bodyStyles,
+            summary: {
+                elements: this.elementCount,
+                issues: [...this.issues].map(([message, { count, details }]) => {
+                    const list = [...details].slice(0, 5).join(', ');
+                    return `${message}${count > 1 ? ` (${count})` : ''}${list ? `: ${list}` : ''}`;
+                })
+            }
+        };
+    }
+
+    collectStyleRules(cssText) {
+        const sheet = new CSSStyleSheet();
+        try {
+            sheet.replaceSync(cssText);
+        } catch (e) {
+            this.report('A <style> block could not be parsed and was dropped');
             return;
         }
 
-        this.form.classList.remove('hidden');
-        this.breadcrumb.textContent = this.getElementPath(element.id);
-
-        this.populateProperties(element);
-    }
-
-    populateProperties(element) {
-        this.inputs.textContent.value = element.textContent || '';
-        this.inputs.width.value = element.styles.width || '';
-        this.inputs.height.value = element.styles.height || '';
-        this.inputs.padding.value = element.styles.padding || '';
-        this.inputs.margin.value = element.styles.margin || '';
-        this.inputs.color.value = this.rgbToHex(element.styles.color) || '#000000';
-        this.inputs.background.value = element.styles.background || '';
-        this.inputs.fontSize.value = element.styles.fontSize || '';
-        this.inputs.textAlign.value = element.styles.textAlign || '';
-        this.inputs.display.value = element.styles.display || '';
-        this.inputs.border.value = element.styles.border || '';
-        this.inputs.borderRadius.value = element.styles.borderRadius || '';
-        
-        // Hide/show text content for non-text elements
-        const textTags = ['p', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'button', 'a', 'label', 'li', 'td', 'th', 'strong', 'em', 'u', 'code', 'pre', 'blockquote'];
-        if (textTags.includes(element.tag)) {
-            this.inputs.textContent.parentElement.classList.remove('hidden');
-        } else {
-            this.inputs.textContent.parentElement.classList.add('hidden');
+        for (const rule of sheet.cssRules) {
+            if (!(rule instanceof CSSStyleRule)) {
+                const atRule = rule.cssText.split(/[\s{]/)[0];
+                this.report('CSS at-rules are not supported and were dropped', atRule);
+                continue;
+            }
+
+            const styles = HtmlImporter.parseDeclarations(rule.style.cssText);
+            rule.selectorText.split(',').map(sel => sel.trim()).forEach(selector => {
+                const idMatch = selector.match(/^#([\w-]+)$/);
+                const classMatch = selector.match(/^\.([\w-]+)$/);
+                if (idMatch) {
+                    this.idRules.push({ id: idMatch[1], styles });
+                } else if (classMatch) {
+                    this.classRules.push({ className: classMatch[1], styles });
+                } else {
+                    this.report('CSS rules that do not target a single id or class were dropped', selector);
+                }
+            });
         }
+    }
 
-        // Media URL for img/video elements
-        const isMedia = element.tag === 'img' || element.tag === 'video';
-        if (isMedia) {
-            this.mediaSrcGroup.classList.remove('hidden');
-            this.mediaSrcLabel.textContent = element.tag === 'img' ? 'Image URL' : 'Video URL';
-            this.inputs.mediaSrc.value = (element.attributes && element.attributes.src) ? element.attributes.src : '';
-        } else {
-            this.mediaSrcGroup.classList.add('hidden');
-            this.inputs.mediaSrc.value = '';
+    // Class rules first, then id rules, then the inline style, mirroring CSS specificity
+    resolveStyles(el) {
+        const styles = {};
+        this.classRules.forEach(rule => {
+            if (el.classList.contains(rule.className)) Object.assign(styles, rule.styles);
+        });
+        this.idRules.forEach(rule => {
+            if (el.id === rule.id) Object.assign(styles, rule.styles);
+        });
+        Object.assign(styles, HtmlImporter.parseDeclarations(el.getAttribute('style')));
+
+        const safe = HtmlSanitizer.sanitizeStyles(styles);
+        Object.keys(styles).filter(key => !(key in safe)).forEach(key => this.report('Unsafe CSS values were dropped', key));
+        return safe;
+    }
+
+    assignId(originalId) {
+        let id = originalId;
+        if (!id || !/^[A-Za-z][\w-]*$/.test(id) || id === 'root-canvas' || this.usedIds.has(id)) {
+            do {
+                id = EditorState.generateId();
+            } while (this.usedIds.has(id));
         }
+        this.usedIds.add(id);
+        return id;
     }
 
-    rgbToHex(col) {
-        if (!col) return '#000000';
-        if (col.startsWith('#')) return col;
-        // Simple conversion if needed, but for now we assume it's hex or we just return it
-        return col;
+    wrapText(text) {
+        this.report('Text mixed with elements was wrapped in <span> elements');
+        this.elementCount++;
+        return {
+            tag: 'span',
+            id: this.assignId(null),
+            styles: {},
+            children: [],
+            classes: [],
+            attributes: {},
+            textContent: text
+        };
     }
 
-    getElementPath(id) {
-        const path = [];
-        const findPath = (node, currentPath) => {
-            if (node.id === id) {
-                path.push(...currentPath, node.tag);
-                return true;
+    convertChildren(parent, preserveWhitespace) {
+        const items = [];
+        for (const child of parent.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                const text = preserveWhitespace ? child.data : child.data.replace(/\s+/g, ' ');
+                if (text.trim()) items.push({ text });
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                const node = this.convertElement(child, preserveWhitespace);
+                if (node) items.push({ node });
+            } else if (child.nodeType === Node.COMMENT_NODE) {
+                this.report('HTML comments were dropped');
             }
-            if (node.children) {
-                for (let child of node.children) {
-                    if (findPath(child, [...currentPath, node.tag])) return true;
+        }
+        return items;
+    }
+
+    convertElement(el, preserveWhitespace) {
+        const tag = el.tagName.toLowerCase();
+
+        if (el.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+            this.report('Inline SVG and MathML are not supported and were dropped', `<${tag}>`);
+            return null;
+        }
+        if (this.droppedTags.includes(tag)) {
+            if (tag !== 'style') this.report(`<${tag}> elements are not supported and were dropped`);
+            return null;
+        }
+
+        this.elementCount++;
+        const node = {
+            tag: tag,
+            id: this.assignId(el.getAttribute('id')),
+            styles: this.resolveStyles(el),
+            children: [],
+            classes: [...el.classList],
+            attributes: {}
+        };
+
+        for (const attr of el.attributes) {
+            if (['id', 'class', 'style'].includes(attr.name)) continue;
+            if (attr.name.startsWith('on')) {
+                this.report('Inline event handlers were dropped', attr.name);
+            } else if (!HtmlSanitizer.isAllowedAttribute(attr.name)) {
+                this.report('Unsupported attributes were dropped', attr.name);
+            } else if (HtmlSanitizer.urlAttributes.includes(attr.name) && !HtmlSanitizer.isSafeUrl(attr.value)) {
+                this.report('Unsafe URLs were dropped', `${attr.name}="${attr.value.slice(0, 40)}"`);
+            } else {
+                node.attributes[attr.name] = attr.value;
+            }
+        }
+
+        if (this.voidTags.includes(tag)) {
+            return node;
+        }
+
+        const keepWhitespace = preserveWhitespace || tag === 'pre' || tag === 'textarea';
+        const items = this.convertChildren(el, keepWhitespace);
+
+        if (items.every(item => item.text !== undefined)) {
+            const text = items.map(item => item.text).join('');
+            if (text) node.textContent = keepWhitespace ? text : text.trim();
+        } else {
+            node.children = items.map(item => item.node || this.wrapText(item.text));
+        }
+
+        return node;
+    }
+}
+
+const CLIPBOARD_FORMAT = 'vd-visual-editor-elements';
+const CLIPBOARD_VERSION = 1;
+
+/**
+ * Clipboard payloads for copied elements. The versioned JSON payload travels inside the HTML
+ * flavor (as a <meta> tag) so it survives both the copy event and the async Clipboard API;
+ * other tools get plain markup with a <style> block.
+ */
+class ElementClipboard {
+    static serialize(nodes, exportManager) {
+        const payload = JSON.stringify({ format: CLIPBOARD_FORMAT, version: CLIPBOARD_VERSION, nodes });
+        const fragment = exportManager.generateFragment(nodes);
+        return {
+            html: `<meta name="${CLIPBOARD_FORMAT}" content="${ExportManager.escapeAttr(payload)}">${fragment}`,
+            text: fragment
+        };
+    }
+
+    // Nodes to paste, with fresh ids; foreign HTML goes through HtmlImporter, plain text becomes a paragraph
+    static parse({ html = '', text = '' }, existingIds = []) {
+        const nodes = ElementClipboard.readPayload(html);
+        if (nodes) return nodes;
+
+        const markup = html.trim() || (/^\s*</.test(text) ? text : '');
+        if (markup) {
+            return new HtmlImporter(existingIds).importHTML(markup).nodes;
+        }
+
+        if (text.trim()) {
+            return [{
+                tag: 'p',
+                id: EditorState.generateId(),
+                styles: {},
+                children: [],
+                classes: [],
+                attributes: {},
+                textContent: text.trim()
+            }];
+        }
+        return [];
+    }
+
+    // Returns null when the HTML carries no payload this editor can read
+    static readPayload(html) {
+        if (!html || !html.includes(CLIPBOARD_FORMAT)) return null;
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const meta = doc.querySelector(`meta[name="${CLIPBOARD_FORMAT}"]`);
+        if (!meta) return null;
+
+        let payload;
+        try {
+            payload = JSON.parse(meta.getAttribute('content'));
+        } catch (e) {
+            return null;
+        }
+        if (!payload || payload.format !== CLIPBOARD_FORMAT || !Number.isInteger(payload.version) ||
+            payload.version > CLIPBOARD_VERSION || !Array.isArray(payload.nodes) || !payload.nodes.every(ProjectFormat.isValidNode)) {
+            return null;
+        }
+
+        const regenerateIds = (node) => {
+            node.id = EditorState.generateId();
+            if (!node.children) node.children = [];
+            node.children.forEach(regenerateIds);
+        };
+        // The payload may come from any page, so it gets the same allowlist as imported HTML
+        const nodes = JSON.parse(JSON.stringify(payload.nodes))
+            .map(node => HtmlSanitizer.sanitizeNode(node))
+            .filter(Boolean);
+        nodes.forEach(regenerateIds);
+        return nodes;
+    }
+}
+
+/**
+ * AI edit protocol: the assistant answers with a short message followed by a fenced ```json block
+ * holding { "operations": [...] }. Each operation is validated against the current tree and
+ * applied through EditorState, so a whole reply is one undoable transaction.
+ */
+class AiEditProtocol {
+    static get operationTypes() {
+        return ['updateStyles', 'setText', 'setAttributes', 'insert', 'move', 'wrap', 'delete'];
+    }
+
+    // Elements that cannot hold children
+    static get leafTags() {
+        return ['img', 'br', 'hr', 'input'];
+    }
+
+    static get forbiddenTags() {
+        return ['script', 'style', 'link', 'meta', 'base', 'html', 'head', 'body'];
+    }
+
+    // Prompt section describing the reply format
+    static describe() {
+        return `Reply with a brief explanation, then one fenced \`\`\`json block with the edits:
+{"operations": [ ... ]}
+
+Operations (ids are the #ids listed in the canvas state; the root is "root-canvas"):
+- {"op": "updateStyles", "id": "el-x", "styles": {"color": "blue", "font-size": "24px"}}  (use null to remove a property)
+- {"op": "setText", "id": "el-x", "text": "New text"}
+- {"op": "setAttributes", "id": "el-x", "attributes": {"href": "https://example.com"}}  (null removes)
+- {"op": "insert", "parentId": "el-x", "index": 0, "node": {"tag": "section", "id": "new-1", "styles": {}, "attributes": {}, "text": "", "children": []}}
+  index is optional (default: append). "id" on a new node is an optional name that later operations in the same reply can use.
+- {"op": "move", "id": "el-x", "parentId": "el-y", "index": 0}
+- {"op": "wrap", "ids": ["el-x", "el-y"], "tag": "div", "styles": {}}  (the ids must be siblings)
+- {"op": "delete", "id": "el-x"}
+
+Omit the json block when no change is needed. Do not use script, style or on* event attributes.`;
+    }
+
+    // Split a reply into its message and its operations; error is set when the edit block is not valid
+    static parse(response) {
+        // A block tagged json wins; an untagged block is only used when there is none
+        const fences = [...response.matchAll(/```(\w*)([\s\S]*?)```/g)];
+        const fence = fences.find(match => match[1].toLowerCase() === 'json')
+            || fences.find(match => match[1] === '');
+        let source = fence ? fence[2] : null;
+        if (!source) {
+            const start = response.indexOf('{"operations"');
+            if (start !== -1) source = response.substring(start);
+        }
+
+        const message = (fence ? response.replace(fence[0], '') : source ? response.substring(0, response.indexOf(source)) : response).trim();
+        if (!source) return { message, operations: [], error: null };
+
+        let payload;
+        try {
+            payload = JSON.parse(source.trim());
+        } catch (e) {
+            return { message, operations: [], error: `The edit block is not valid JSON (${e.message})` };
+        }
+
+        const operations = Array.isArray(payload) ? payload : payload && payload.operations;
+        if (!Array.isArray(operations)) {
+            return { message, operations: [], error: 'The edit block has no "operations" list' };
+        }
+        return { message, operations, error: null };
+    }
+
+    static invalid(message) {
+        const err = new Error(message);
+        err.code = 'INVALID_AI_OPERATION';
+        return err;
+    }
+
+    // Short label for the chat report
+    static summarize(op) {
+        if (!op || typeof op !== 'object') return 'Unknown operation';
+        const target = op.id ? ` #${op.id}` : Array.isArray(op.ids) ? ` ${op.ids.map(id => `#${id}`).join(', ')}` : '';
+        switch (op.op) {
+            case 'updateStyles': return `Style${target}`;
+            case 'setText': return `Set text of${target}`;
+            case 'setAttributes': return `Set attributes of${target}`;
+            case 'insert': return `Insert ${op.node && op.node.tag ? op.node.tag : 'element'} into #${op.parentId}`;
+            case 'move': return `Move${target} into #${op.parentId}`;
+            case 'wrap': return `Wrap${target} in ${op.tag || 'div'}`;
+            case 'delete': return `Delete${target}`;
+            default: return `Unknown operation "${op.op}"`;
+        }
+    }
+
+    /**
+     * Validate one operation against the current tree and apply it.
+     * refs maps ids the AI gave to inserted nodes onto their generated ids.
+     * Returns the id of the affected element; throws INVALID_AI_OPERATION without touching the tree.
+     */
+    static apply(op, state, refs = new Map()) {
+        if (!op || typeof op !== 'object' || Array.isArray(op)) throw this.invalid('Operation must be an object');
+        if (!this.operationTypes.includes(op.op)) throw this.invalid(`Unknown operation "${op.op}"`);
+
+        const resolve = (id, field = 'id') => {
+            if (typeof id !== 'string' || !id) throw this.invalid(`"${field}" must be an element id`);
+            const actual = refs.get(id) || id;
+            const element = state.findElementById(actual);
+            if (!element) throw this.invalid(`No element with id "${id}"`);
+            if (state.isLocked(element.id)) throw this.invalid(`Element "${id}" is locked`);
+            return element;
+        };
+        const notRoot = (element) => {
+            if (element.id === 'root-canvas') throw this.invalid('The root element cannot be moved, wrapped or deleted');
+        };
+        const container = (element) => {
+            if (this.leafTags.includes(element.tag)) throw this.invalid(`<${element.tag}> cannot contain elements`);
+        };
+        const position = (index, max) => {
+            if (index === undefined || index === null) return max;
+            if (!Number.isInteger(index) || index < 0 || index > max) throw this.invalid(`Index must be between 0 and ${max}`);
+            return index;
+        };
+
+        switch (op.op) {
+            case 'updateStyles': {
+                const element = resolve(op.id);
+                const styles = this.validateStyles(op.styles);
+                // Keep the key spelling the element already uses (the properties panel writes camelCase)
+                const updates = {};
+                Object.entries(styles).forEach(([key, value]) => {
+                    updates[EditorState.styleKey(element, key)] = value;
+                });
+                state.setStyles(element.id, updates);
+                return element.id;
+            }
+            case 'setText': {
+                const element = resolve(op.id);
+                if (typeof op.text !== 'string') throw this.invalid('"text" must be a string');
+                if (this.leafTags.includes(element.tag)) throw this.invalid(`<${element.tag}> cannot hold text`);
+                state.setText(element.id, op.text);
+                return element.id;
+            }
+            case 'setAttributes': {
+                const element = resolve(op.id);
+                state.setAttributes(element.id, this.validateAttributes(op.attributes));
+                return element.id;
+            }
+            case 'insert': {
+                const parent = resolve(op.parentId, 'parentId');
+                container(parent);
+                const index = position(op.index, (parent.children || []).length);
+                const node = this.buildNode(op.node, refs, state);
+                state.insertNode(parent.id, index, node);
+                return node.id;
+            }
+            case 'move': {
+                const element = resolve(op.id);
+                notRoot(element);
+                const parent = resolve(op.parentId, 'parentId');
+                container(parent);
+                if (parent.id === element.id || this.contains(element, parent.id)) {
+                    throw this.invalid('An element cannot be moved inside itself');
+                }
+                const siblings = (parent.children || []).filter(child => child.id !== element.id);
+                state.moveNode(element.id, parent.id, position(op.index, siblings.length));
+                return element.id;
+            }
+            case 'wrap': {
+                const ids = Array.isArray(op.ids) ? op.ids : [op.id];
+                if (ids.length === 0) throw this.invalid('"ids" must list at least one element');
+                const elements = ids.map(id => resolve(id, 'ids'));
+                elements.forEach(notRoot);
+                const locations = elements.map(element => state.findParent(element.id));
+                const parentId = locations[0].parent.id;
+                if (locations.some(location => location.parent.id !== parentId)) {
+                    throw this.invalid('Wrapped elements must share the same parent');
+                }
+                const wrapper = this.buildNode({ tag: op.tag || 'div', styles: op.styles, attributes: op.attributes }, refs, state);
+                container(wrapper);
+                state.wrapNodes(elements.map(element => element.id), wrapper);
+                return wrapper.id;
+            }
+            case 'delete': {
+                const element = resolve(op.id);
+                notRoot(element);
+                state.removeNode(element.id);
+                return null;
+            }
+        }
+    }
+
+    static validateStyles(styles) {
+        if (!styles || typeof styles !== 'object' || Array.isArray(styles)) throw this.invalid('"styles" must be an object');
+        const result = {};
+        Object.entries(styles).forEach(([key, value]) => {
+            const property = DOMRenderer.normalizeStyleKey(key.trim());
+            if (!/^-?[a-z][a-z0-9-]*$/.test(property)) throw this.invalid(`Invalid CSS property "${key}"`);
+            if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+                throw this.invalid(`Invalid value for "${key}"`);
+            }
+            if (typeof value === 'string' && (/[;{}]/.test(value) || !HtmlSanitizer.isSafeStyleValue(value))) {
+                throw this.invalid(`Invalid value for "${key}"`);
+            }
+            result[property] = value === null ? null : String(value).trim();
+        });
+        return result;
+    }
+
+    static validateAttributes(attributes) {
+        if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) throw this.invalid('"attributes" must be an object');
+        const result = {};
+        Object.entries(attributes).forEach(([name, value]) => {
+            const key = name.trim().toLowerCase();
+            if (!/^[a-z][a-z0-9_:.-]*$/.test(key)) throw this.invalid(`Invalid attribute "${name}"`);
+            if (!HtmlSanitizer.isAllowedAttribute(key)) throw this.invalid(`Attribute "${name}" cannot be set`);
+            if (value !== null && typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+                throw this.invalid(`Invalid value for attribute "${name}"`);
+            }
+            if (HtmlSanitizer.urlAttributes.includes(key) && typeof value === 'string' && !HtmlSanitizer.isSafeUrl(value)) {
+                throw this.invalid(`Unsafe URL in attribute "${name}"`);
+            }
+            result[key] = value === null || value === false ? null : value === true ? '' : String(value);
+        });
+        return result;
+    }
+
+    // Turn an AI node description into an editor node with fresh ids
+    static buildNode(spec, refs, state, depth = 0) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw this.invalid('"node" must be an object');
+        if (depth > 20) throw this.invalid('Inserted elements are nested too deeply');
+
+        const tag = typeof spec.tag === 'string' ? spec.tag.trim().toLowerCase() : '';
+        if (!/^[a-z][a-z0-9-]*$/.test(tag)) throw this.invalid(`Invalid tag "${spec.tag}"`);
+        if (this.forbiddenTags.includes(tag) || !HtmlSanitizer.isAllowedTag(tag)) throw this.invalid(`<${tag}> elements cannot be added`);
+
+        const node = {
+            tag,
+            id: EditorState.generateId(),
+            styles: spec.styles ? this.validateStyles(spec.styles) : {},
+            children: [],
+            classes: [],
+            attributes: spec.attributes ? this.validateAttributes(spec.attributes) : {}
+        };
+        Object.keys(node.styles).forEach(key => { if (node.styles[key] === null) delete node.styles[key]; });
+        Object.keys(node.attributes).forEach(key => { if (node.attributes[key] === null) delete node.attributes[key]; });
+
+        if (Array.isArray(spec.classes)) {
+            node.classes = spec.classes.filter(name => typeof name === 'string' && /^-?[_a-zA-Z][\w-]*$/.test(name));
+        }
+
+        const text = spec.text !== undefined ? spec.text : spec.textContent;
+        if (text !== undefined && text !== null && text !== '') {
+            if (typeof text !== 'string') throw this.invalid('"text" must be a string');
+            if (this.leafTags.includes(tag)) throw this.invalid(`<${tag}> cannot hold text`);
+            node.textContent = text;
+        }
+
+        if (spec.children !== undefined) {
+            if (!Array.isArray(spec.children)) throw this.invalid('"children" must be a list');
+            if (spec.children.length > 0 && this.leafTags.includes(tag)) throw this.invalid(`<${tag}> cannot contain elements`);
+            node.children = spec.children.map(child => this.buildNode(child, refs, state, depth + 1));
+        }
+
+        if (typeof spec.id === 'string' && spec.id) {
+            if (refs.has(spec.id) || state.findElementById(spec.id)) throw this.invalid(`Id "${spec.id}" is already in use`);
+            refs.set(spec.id, node.id);
+        }
+        return node;
+    }
+
+    static contains(node, id) {
+        return (node.children || []).some(child => child.id === id || this.contains(child, id));
+    }
+}
+
+class ChatManager {
+    constructor(editorInstance) {
+        this.editor = editorInstance;
+        this.settings = editorInstance.settings;
+        this.state = editorInstance.state;
+        this.canvas = editorInstance.canvas;
+        this.conversationHistory = [];
+        this.isProcessing = false;
+        this.maxHistoryLength = 20;
+        
+        // DOM elements
+        this.chatPanel = document.getElementById('chat-panel');
+        this.chatMessages = document.getElementById('chat-messages');
+        this.chatInput = document.getElementById('chat-input');
+        this.chatCharCounter = document.getElementById('chat-char-counter');
+        this.btnSendMessage = document.getElementById('btn-send-message');
+        this.btnToggleChat = document.getElementById('btn-chat-toggle');
+        this.btnCollapseChat = document.getElementById('btn-collapse-chat');
+        this.btnCloseChat = document.getElementById('btn-close-chat');
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.updateCharCounter();
+    }
+    
+    setupEventListeners() {
+        // Chat toggle button
+        this.btnToggleChat.addEventListener('click', () => {
+            this.toggleChat();
+        });
+        
+        // Collapse and close buttons
+        this.btnCollapseChat.addEventListener('click', () => {
+            this.collapseChat();
+        });
+        
+        this.btnCloseChat.addEventListener('click', () => {
+            this.closeChat();
+        });
+        
+        // Send message button
+        this.btnSendMessage.addEventListener('click', () => {
+            this.sendMessage();
+        });
+        
+        // Chat input events
+        this.chatInput.addEventListener('input', () => {
+            this.updateCharCounter();
+        });
+        
+        this.chatInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+    }
+    
+    toggleChat() {
+        this.chatPanel.classList.toggle('collapsed');
+        
+        // Update button text based on panel state
+        if (this.chatPanel.classList.contains('collapsed')) {
+            this.btnToggleChat.textContent = 'AI Chat';
+        } else {
+            this.btnToggleChat.textContent = 'Hide Chat';
+        }
+    }
+    
+    collapseChat() {
+        this.chatPanel.classList.add('collapsed');
+        this.btnToggleChat.textContent = 'AI Chat';
+    }
+    
+    closeChat() {
+        this.chatPanel.classList.add('collapsed');
+        this.btnToggleChat.textContent = 'AI Chat';
+    }
+    
+    updateCharCounter() {
+        const length = this.chatInput.value.length;
+        const maxLength = 500;
+        this.chatCharCounter.textContent = `${length} / ${maxLength}`;
+        
+        // Update styling based on character count
+        this.chatCharCounter.classList.remove('warning', 'critical');
+        if (length > maxLength * 0.9) {
+            this.chatCharCounter.classList.add('critical');
+        } else if (length > maxLength * 0.8) {
+            this.chatCharCounter.classList.add('warning');
+        }
+    }
+    
+    formatUserMessage(text) {
+        return text.trim().substring(0, 500);
+    }
+    
+    async sendMessage() {
+        const message = this.formatUserMessage(this.chatInput.value);
+        
+        if (!message || this.isProcessing) {
+            return;
+        }
+        
+        // Check if API key is set
+        const apiKey = localStorage.getItem('openaiApiKey') || this.settings.getApiKeyFromStorage();
+        if (!apiKey) {
+            this.addErrorMessage('Please configure your API key in Settings');
+            return;
+        }
+        
+        // Add user message to UI and history
+        this.addMessageToUI('user', message);
+        this.addMessageToHistory('user', message);
+        
+        // Clear input
+        this.chatInput.value = '';
+        this.updateCharCounter();
+        
+        // Disable input and show typing indicator
+        this.setInputState(false);
+        this.showTypingIndicator();
+        
+        try {
+            this.isProcessing = true;
+            
+            // Build system prompt
+            const systemPrompt = this.buildSystemPrompt();
+            
+            // Call OpenAI API
+            const response = await this.callOpenAI(systemPrompt, message);
+            
+            // Remove typing indicator
+            this.removeTypingIndicator();
+            
+            // Add AI response to UI and history; the edit block is reported separately
+            const reply = AiEditProtocol.parse(response);
+            this.addMessageToUI('assistant', reply.message || 'Here are the changes.');
+            this.addMessageToHistory('assistant', response);
+            
+            // Apply changes, keeping the pre-AI canvas as its own recovery point and snapshot
+            this.editor.autosave.checkpoint();
+            if (reply.operations.length > 0) {
+                await this.editor.history.autoSnapshot(`Before AI: ${message.substring(0, 60)}`);
+            }
+            this.applyReply(reply, `AI: ${message.substring(0, 60)}`);
+            
+        } catch (error) {
+            this.removeTypingIndicator();
+            console.error('Chat error:', error);
+
+            let errorMessage = 'An error occurred while processing your request.';
+
+            switch (error.code) {
+                case 'MISSING_LOCAL_API_KEY':
+                    errorMessage = 'Please configure your API key in Settings';
+                    break;
+                case 'MISSING_AUTH_HEADER':
+                    errorMessage = 'API key not found. Please save Settings first';
+                    break;
+                case 'INVALID_API_KEY':
+                    errorMessage = 'Invalid API key. Please check Settings';
+                    break;
+                case 'RATE_LIMIT':
+                    errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
+                    break;
+                case 'NETWORK_ERROR':
+                    errorMessage = 'Network error. Please check your connection and try again.';
+                    break;
+                default: {
+                    const msg = typeof error.message === 'string' ? error.message : '';
+                    const msgLower = msg.toLowerCase();
+
+                    if (msgLower.includes('authorization header')) {
+                        errorMessage = 'API key not found. Please save Settings first';
+                    } else if (msgLower.includes('invalid api key') || (msgLower.includes('api key') && msgLower.includes('invalid'))) {
+                        errorMessage = 'Invalid API key. Please check Settings';
+                    } else if (msgLower.includes('rate limit')) {
+                        errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
+                    } else if (msgLower.includes('network')) {
+                        errorMessage = 'Network error. Please check your connection and try again.';
+                    }
+                }
+            }
+
+            this.addErrorMessage(errorMessage);
+        } finally {
+            this.isProcessing = false;
+            this.setInputState(true);
+        }
+    }
+    
+    buildSystemPrompt() {
+        const canvasDescription = this.getCanvasDescription();
+        let basePrompt = `You are an AI assistant for a visual HTML editor. You help users modify their canvas design by changing styles, adding elements, and adjusting layouts.
+
+Current Canvas State:
+${canvasDescription}
+
+Instructions:
+${AiEditProtocol.describe()}
+- Only modify existing elements or add new ones
+- Keep CSS properties valid
+- Be specific and concise in your modifications`;
+
+        // We'll add custom system prompt when we have the settings
+        return basePrompt;
+    }
+    
+    getCanvasDescription() {
+        const elements = [];
+        const describeElement = (node, depth = 0) => {
+            const indent = '  '.repeat(depth);
+            let description = `${indent}- ${node.tag}`;
+            
+            if (node.id) description += ` #${node.id}`;
+            if (node.textContent) description += ` text: "${node.textContent.substring(0, 50)}"`;
+            if (node.styles && Object.keys(node.styles).length > 0) {
+                const styleKeys = Object.keys(node.styles).slice(0, 3);
+                description += ` styles: {${styleKeys.join(', ')}}`;
+            }
+            
+            elements.push(description);
+            
+            if (node.children) {
+                node.children.forEach(child => describeElement(child, depth + 1));
+            }
+        };
+        
+        describeElement(this.state.domTree);
+        return elements.join('\n');
+    }
+    
+    async callOpenAI(systemPrompt, userMessage) {
+        const settings = await this.settings.loadSettings();
+        const apiKey = localStorage.getItem('openaiApiKey') || this.settings.getApiKeyFromStorage();
+
+        if (!apiKey) {
+            const err = new Error('API key not configured');
+            err.code = 'MISSING_LOCAL_API_KEY';
+            throw err;
+        }
+
+        // Add custom system prompt from settings
+        let fullSystemPrompt = systemPrompt;
+        if (settings.systemPrompt && settings.systemPrompt.trim()) {
+            fullSystemPrompt += `\n\nCustom Instructions:\n${settings.systemPrompt}`;
+        }
+
+        let response;
+        try {
+            response = await fetch('openai_proxy.php', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Cache-Control': 'no-store'
+                },
+                cache: 'no-store',
+                body: JSON.stringify({
+                    systemPrompt: fullSystemPrompt,
+                    userMessage: userMessage,
+                    model: settings.model || 'gpt-4o-mini',
+                    maxTokens: settings.maxTokens || 2000,
+                    temperature: settings.temperature || 0.7
+                })
+            });
+        } catch (e) {
+            const err = new Error('Network error');
+            err.code = 'NETWORK_ERROR';
+            throw err;
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => null);
+            const msg = (errorData && errorData.error) ? String(errorData.error) : `HTTP ${response.status}`;
+
+            const err = new Error(msg);
+
+            if (response.status === 401) {
+                if (msg.toLowerCase().includes('authorization')) {
+                    err.code = 'MISSING_AUTH_HEADER';
+                } else {
+                    err.code = 'INVALID_API_KEY';
+                }
+            } else if (response.status === 429) {
+                err.code = 'RATE_LIMIT';
+            } else if (response.status >= 500) {
+                err.code = 'OPENAI_PROXY_ERROR';
+            }
+
+            throw err;
+        }
+
+        const result = await response.json();
+
+        if (!result.success) {
+            const err = new Error(result.error || 'Unknown error from OpenAI API');
+            err.code = 'OPENAI_PROXY_ERROR';
+            throw err;
+        }
+
+        return result.data.response;
+    }
+    
+    // Apply every operation of a reply as one transaction and report each result in the chat
+    applyReply(reply, label = 'AI edit') {
+        if (reply.error) {
+            this.addErrorMessage(`No changes applied: ${reply.error}`);
+            return [];
+        }
+        if (reply.operations.length === 0) {
+            this.showInfoMessage('I understand your request, but no code changes were detected. You can be more specific about what you want to modify.');
+            return [];
+        }
+
+        const refs = new Map();
+        const results = [];
+        this.state.transact(label, () => {
+            reply.operations.forEach(op => {
+                const summary = AiEditProtocol.summarize(op);
+                try {
+                    const id = AiEditProtocol.apply(op, this.state, refs);
+                    results.push({ summary, ok: true, id });
+                } catch (error) {
+                    if (error.code !== 'INVALID_AI_OPERATION') console.error('AI operation failed:', error);
+                    results.push({ summary, ok: false, error: error.message });
+                }
+            });
+        });
+
+        const applied = results.filter(result => result.ok);
+        if (applied.length > 0) {
+            this.state.pruneSelection();
+            this.canvas.render(this.state);
+            this.editor.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+            this.highlightElements([...new Set(applied.map(result => result.id).filter(Boolean))]);
+        }
+        this.showOperationReport(results);
+        return results;
+    }
+
+    showOperationReport(results) {
+        const applied = results.filter(result => result.ok).length;
+        const messageDiv = document.createElement('div');
+        messageDiv.className = applied > 0 ? 'success-message' : 'error-message';
+
+        const heading = document.createElement('div');
+        heading.textContent = `Applied ${applied} of ${results.length} change${results.length === 1 ? '' : 's'} to your canvas.`;
+        messageDiv.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'ai-operation-report';
+        results.forEach(result => {
+            const li = document.createElement('li');
+            li.className = result.ok ? 'ok' : 'failed';
+            li.textContent = result.ok ? `✓ ${result.summary}` : `✗ ${result.summary}: ${result.error}`;
+            list.appendChild(li);
+        });
+        messageDiv.appendChild(list);
+
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    addMessageToHistory(role, content) {
+        const message = {
+            role: role,
+            content: content,
+            timestamp: Date.now()
+        };
+        
+        this.conversationHistory.push(message);
+        
+        // Limit history length
+        if (this.conversationHistory.length > this.maxHistoryLength) {
+            this.conversationHistory.shift();
+        }
+    }
+    
+    getConversationHistory() {
+        return this.conversationHistory;
+    }
+    
+    clearHistory() {
+        this.conversationHistory = [];
+        this.chatMessages.innerHTML = `
+            <div class="chat-welcome">
+                <p>Hello! I'm your AI assistant. I can help you modify your canvas design. Try asking me to:</p>
+                <ul>
+                    <li>Change colors or fonts</li>
+                    <li>Add new elements</li>
+                    <li>Modify layout and spacing</li>
+                    <li>Style existing elements</li>
+                </ul>
+                <p>Example: "Make the heading blue and increase its size"</p>
+            </div>
+        `;
+    }
+    
+    addMessageToUI(role, content) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `chat-message ${role}`;
+        
+        const bubble = document.createElement('div');
+        bubble.className = 'message-bubble';
+        bubble.textContent = content;
+        
+        messageDiv.appendChild(bubble);
+        this.chatMessages.appendChild(messageDiv);
+        
+        // Scroll to bottom
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    addErrorMessage(content) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'error-message';
+        messageDiv.textContent = content;
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    addSuccessMessage(content) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'success-message';
+        messageDiv.textContent = content;
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    showInfoMessage(content) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message assistant';
+        messageDiv.innerHTML = `<div class="message-bubble">${content}</div>`;
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    showSuccessMessage(content) {
+        this.addSuccessMessage(content);
+    }
+    
+    showTypingIndicator() {
+        const typingDiv = document.createElement('div');
+        typingDiv.className = 'typing-indicator';
+        typingDiv.id = 'typing-indicator';
+        
+        typingDiv.innerHTML = `
+            <span>AI is thinking</span>
+            <div class="typing-dots">
+                <div class="typing-dot"></div>
+                <div class="typing-dot"></div>
+                <div class="typing-dot"></div>
+            </div>
+        `;
+        
+        this.chatMessages.appendChild(typingDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    
+    removeTypingIndicator() {
+        const typingIndicator = document.getElementById('typing-indicator');
+        if (typingIndicator) {
+            typingIndicator.remove();
+        }
+    }
+    
+    setInputState(enabled) {
+        this.chatInput.disabled = !enabled;
+        this.btnSendMessage.disabled = !enabled;
+        
+        if (enabled) {
+            this.chatInput.focus();
+        }
+    }
+    
+    highlightElements(elementIds) {
+        // This would highlight elements in the canvas
+        // Implementation depends on how the canvas rendering works
+        // For now, we'll just show a general success message
+        console.log('Highlighted elements:', elementIds);
+    }
+}
+
+/**
+ * Responsive breakpoints. Desktop styles apply at every width; tablet overrides apply up to the tablet width
+ * and mobile overrides, on top of the tablet ones, up to the mobile width. Elements can also be hidden on
+ * any of the three views. Widths are configurable per project.
+ */
+class Breakpoints {
+    static get names() {
+        return ['desktop', 'tablet', 'mobile'];
+    }
+
+    static get defaults() {
+        return { tablet: 768, mobile: 480 };
+    }
+
+    static label(name) {
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    // Widths in px from the project settings, falling back to the defaults when they are missing or invalid
+    static widths(project) {
+        const widths = { ...Breakpoints.defaults, ...((project && project.breakpoints) || {}) };
+        return Breakpoints.validate(widths) ? Breakpoints.defaults : widths;
+    }
+
+    // An error message, or null when the widths can be used
+    static validate(widths) {
+        const valid = (value) => Number.isInteger(value) && value >= 240 && value <= 4000;
+        if (!valid(widths.tablet) || !valid(widths.mobile)) return 'Breakpoint widths must be whole numbers between 240 and 4000 px.';
+        if (widths.mobile >= widths.tablet) return 'The mobile breakpoint must be narrower than the tablet breakpoint.';
+        return null;
+    }
+
+    // The breakpoint and the wider ones it inherits from, widest first
+    static cascade(name) {
+        const index = Breakpoints.names.indexOf(name);
+        return Breakpoints.names.slice(0, index < 0 ? 1 : index + 1);
+    }
+
+    // Styles set on the breakpoint itself: the base styles for desktop, the overrides otherwise
+    static layer(node, name) {
+        if (name === 'desktop' || !Breakpoints.names.includes(name)) return node.styles || {};
+        return (node.breakpointStyles && node.breakpointStyles[name]) || {};
+    }
+
+    // Styles shown at a breakpoint, with kebab-case keys
+    static effectiveStyles(node, name) {
+        const styles = {};
+        Breakpoints.cascade(name).forEach(layer => {
+            Object.entries(Breakpoints.layer(node, layer)).forEach(([key, value]) => {
+                styles[DOMRenderer.normalizeStyleKey(key)] = value;
+            });
+        });
+        return styles;
+    }
+
+    // The breakpoint a property's value at `name` comes from, or null when it is not set
+    static source(node, property, name) {
+        const normalized = DOMRenderer.normalizeStyleKey(property);
+        return [...Breakpoints.cascade(name)].reverse().find(layer =>
+            Object.keys(Breakpoints.layer(node, layer)).some(key => DOMRenderer.normalizeStyleKey(key) === normalized)) || null;
+    }
+
+    static value(node, property, name) {
+        return Breakpoints.effectiveStyles(node, name)[DOMRenderer.normalizeStyleKey(property)] || '';
+    }
+
+    static isHidden(node, name) {
+        return Boolean(node.hiddenOn && node.hiddenOn[name]);
+    }
+
+    // Whether a node (and, when deep, any node inside it) has overrides or is hidden on a view
+    static hasResponsiveRules(node, deep = true) {
+        const own = Object.keys(node.breakpointStyles || {}).length > 0 || Object.keys(node.hiddenOn || {}).length > 0;
+        return own || (deep && (node.children || []).some(child => Breakpoints.hasResponsiveRules(child)));
+    }
+
+    // Every style map of a node, for code that rewrites or scans values whatever the breakpoint
+    static styleMaps(node) {
+        return [node.styles || {}, ...Object.values(node.breakpointStyles || {})];
+    }
+
+    // Media query of a breakpoint's overrides
+    static mediaQuery(name, widths) {
+        return `(max-width: ${widths[name]}px)`;
+    }
+
+    // Media query matching only the widths a breakpoint's view stands for, used to hide elements
+    static rangeQuery(name, widths) {
+        if (name === 'desktop') return `(min-width: ${widths.tablet + 1}px)`;
+        if (name === 'tablet') return `(min-width: ${widths.mobile + 1}px) and (max-width: ${widths.tablet}px)`;
+        return `(max-width: ${widths.mobile}px)`;
+    }
+}
+
+class EditorState {
+    constructor() {
+        const home = EditorState.createPage('Home', 'index');
+        this.pages = [home];
+        this.activePageId = home.id;
+        this.project = ProjectFormat.createMeta();
+        // Selected element ids in selection order; the last one is the primary selection
+        this.selectedIds = [];
+        // The view being edited; style edits from the editor go to this breakpoint's layer
+        this.activeBreakpoint = 'desktop';
+        this.transaction = null;
+        this.openSessionKey = null;
+        // Per page, across undo and redo entries
+        this.maxHistoryBytes = 2 * 1024 * 1024;
+    }
+
+    static generateId() {
+        return 'el-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    static createRootNode() {
+        return {
+            tag: 'div',
+            id: 'root-canvas',
+            styles: {
+                'min-height': '100%',
+                'padding': '20px',
+                'background-color': '#ffffff'
+            },
+            children: [],
+            classes: []
+        };
+    }
+
+    static createPage(name, slug, domTree = EditorState.createRootNode()) {
+        return {
+            id: 'page-' + Math.random().toString(36).substr(2, 9),
+            name: name,
+            slug: slug,
+            settings: {},
+            domTree: domTree,
+            undoStack: [],
+            redoStack: []
+        };
+    }
+
+    static slugify(name) {
+        return String(name).toLowerCase().normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'page';
+    }
+
+    // The element tree and undo history always refer to the active page
+    get activePage() {
+        return this.pages.find(page => page.id === this.activePageId) || this.pages[0];
+    }
+
+    get domTree() {
+        return this.activePage.domTree;
+    }
+
+    set domTree(tree) {
+        this.activePage.domTree = tree;
+    }
+
+    get selectedElementId() {
+        return this.selectedIds.length ? this.selectedIds[this.selectedIds.length - 1] : null;
+    }
+
+    set selectedElementId(id) {
+        this.selectedIds = id ? [id] : [];
+    }
+
+    // Drop selected ids that were removed or locked
+    pruneSelection() {
+        this.selectedIds = this.selectedIds.filter(id => this.findElementById(id) && !this.isLocked(id));
+    }
+
+    // Selected elements without those already inside another selected element, root excluded
+    topLevelSelection() {
+        const ids = this.selectedIds.filter(id => id !== 'root-canvas' && this.findElementById(id));
+        return ids.filter(id => !ids.some(other => {
+            const ancestor = other !== id && this.findElementById(other);
+            return ancestor && this.findElementById(id, ancestor);
+        }));
+    }
+
+    get undoStack() {
+        return this.activePage.undoStack;
+    }
+
+    set undoStack(stack) {
+        this.activePage.undoStack = stack;
+    }
+
+    get redoStack() {
+        return this.activePage.redoStack;
+    }
+
+    set redoStack(stack) {
+        this.activePage.redoStack = stack;
+    }
+
+    loadProject(meta, pages, activePageId) {
+        this.project = { ...meta };
+        this.pages = pages.map(page => ({ undoStack: [], redoStack: [], ...page }));
+        this.activePageId = this.findPage(activePageId) ? activePageId : this.pages[0].id;
+        this.selectedElementId = null;
+        this.transaction = null;
+        this.openSessionKey = null;
+    }
+
+    hasContent() {
+        return this.pages.length > 1 || this.pages.some(page => page.domTree.children.length > 0);
+    }
+
+    findPage(id) {
+        return this.pages.find(page => page.id === id) || null;
+    }
+
+    uniqueSlug(name, exceptId = null) {
+        const base = EditorState.slugify(name);
+        let slug = base;
+        let n = 2;
+        while (this.pages.some(page => page.slug === slug && page.id !== exceptId)) {
+            slug = `${base}-${n++}`;
+        }
+        return slug;
+    }
+
+    addPage(name) {
+        const page = EditorState.createPage(name, this.uniqueSlug(name));
+        this.pages.push(page);
+        return page;
+    }
+
+    switchPage(id) {
+        if (!this.findPage(id) || id === this.activePageId) return false;
+        this.endSession();
+        this.activePageId = id;
+        this.selectedElementId = null;
+        return true;
+    }
+
+    renamePage(id, name) {
+        const page = this.findPage(id);
+        if (!page) return false;
+        page.name = name;
+        // The home page keeps index.html; links point at page ids, so other slugs can follow the name
+        if (page.slug !== 'index') {
+            page.slug = this.uniqueSlug(name, id);
+        }
+        return true;
+    }
+
+    deletePage(id) {
+        const index = this.pages.findIndex(page => page.id === id);
+        if (index === -1 || this.pages.length === 1) return false;
+
+        const [removed] = this.pages.splice(index, 1);
+        if (removed.slug === 'index') {
+            this.pages[0].slug = 'index';
+        }
+        if (this.activePageId === id) {
+            this.activePageId = this.pages[Math.max(0, index - 1)].id;
+            this.selectedElementId = null;
+        }
+        return true;
+    }
+
+    // Edit history: every change is an operation, grouped into labeled transactions that undo as one step.
+    // A page's undoStack and redoStack hold { label, ops, sessionKey, timestamp, size } entries.
+
+    beginTransaction(label, sessionKey = null) {
+        if (this.transaction) {
+            this.transaction.depth++;
+            return;
+        }
+        this.transaction = { label, sessionKey, ops: [], depth: 1 };
+    }
+
+    commitTransaction() {
+        const transaction = this.transaction;
+        if (!transaction || --transaction.depth > 0) return;
+        this.transaction = null;
+        if (transaction.ops.length > 0) {
+            this.pushTransaction(transaction);
+        }
+    }
+
+    // Run fn as one transaction, committed even when fn throws
+    transact(label, fn) {
+        this.beginTransaction(label);
+        try {
+            return fn();
+        } finally {
+            this.commitTransaction();
+        }
+    }
+
+    // Transactions carrying the same session key (one properties-panel edit session) merge until the session ends
+    endSession() {
+        this.openSessionKey = null;
+    }
+
+    pushTransaction({ label, sessionKey = null, ops }) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        this.redoStack = [];
+
+        if (sessionKey && sessionKey === this.openSessionKey && top && top.sessionKey === sessionKey) {
+            ops.forEach(op => EditorState.mergeOperation(top.ops, op));
+            top.timestamp = Date.now();
+            top.size = JSON.stringify(top.ops).length * 2;
+        } else {
+            this.undoStack.push({ label, sessionKey, ops, timestamp: Date.now(), size: JSON.stringify(ops).length * 2 });
+            this.openSessionKey = sessionKey;
+        }
+
+        // Memory limit (UTF-16 estimate); the newest entry is always kept
+        let total = [...this.undoStack, ...this.redoStack].reduce((sum, entry) => sum + entry.size, 0);
+        while (total > this.maxHistoryBytes && this.undoStack.length > 1) {
+            total -= this.undoStack.shift().size;
+        }
+    }
+
+    // Apply an operation and add it to the open transaction, or record it as a step of its own
+    record(op) {
+        if (op.type !== 'layer') this.assertUnlocked(op);
+        this.applyOperation(op);
+        if (this.transaction) {
+            EditorState.mergeOperation(this.transaction.ops, op);
+        } else {
+            this.pushTransaction({ label: EditorState.describeOperation(op), ops: [op] });
+        }
+    }
+
+    // Repeated edits of one element fold into its earlier operation unless the tree changed shape in between
+    static mergeOperation(ops, op) {
+        if (['style', 'attributes', 'layer', 'visibility', 'text'].includes(op.type)) {
+            for (let i = ops.length - 1; i >= 0; i--) {
+                const previous = ops[i];
+                if (['add', 'delete', 'move'].includes(previous.type)) break;
+                if (previous.type !== op.type || previous.id !== op.id || previous.breakpoint !== op.breakpoint) continue;
+
+                if (op.type === 'text') {
+                    previous.after = op.after;
+                } else {
+                    Object.keys(op.after).forEach(key => {
+                        if (!(key in previous.before)) previous.before[key] = op.before[key];
+                        previous.after[key] = op.after[key];
+                    });
+                }
+                return;
+            }
+        }
+        ops.push(op);
+    }
+
+    static describeOperation(op) {
+        switch (op.type) {
+            case 'add': return `Add ${op.node.tag}`;
+            case 'delete': return `Delete ${op.node.tag}`;
+            case 'move': return `Move ${op.tag}`;
+            case 'text': return `Edit ${op.tag} text`;
+            case 'style': return `Style ${op.tag} (${Object.keys(op.after).map(DOMRenderer.normalizeStyleKey).join(', ')})` +
+                (op.breakpoint ? ` on ${op.breakpoint}` : '');
+            case 'visibility': return Object.entries(op.after)
+                .map(([name, hidden]) => `${hidden ? 'Hide' : 'Show'} ${op.tag} on ${name}`).join(', ');
+            case 'attributes': return `Set ${Object.keys(op.after).join(', ')} on ${op.tag}`;
+            case 'layer':
+                if ('name' in op.after) return `Rename ${op.tag} layer`;
+                if ('hidden' in op.after) return `${op.after.hidden ? 'Hide' : 'Show'} ${op.tag}`;
+                return `${op.after.locked ? 'Lock' : 'Unlock'} ${op.tag}`;
+            default: return 'Edit';
+        }
+    }
+
+    static invertOperation(op) {
+        switch (op.type) {
+            case 'add': return { ...op, type: 'delete' };
+            case 'delete': return { ...op, type: 'add' };
+            case 'move': return { ...op, from: op.to, to: op.from };
+            default: return { ...op, before: op.after, after: op.before };
+        }
+    }
+
+    applyOperation(op) {
+        const outOfSync = () => {
+            const err = new Error('Edit history does not match the page');
+            err.code = 'HISTORY_OUT_OF_SYNC';
+            return err;
+        };
+
+        if (op.type === 'add') {
+            const parent = this.findElementById(op.parentId);
+            if (!parent) throw outOfSync();
+            if (!parent.children) parent.children = [];
+            parent.children.splice(op.index, 0, JSON.parse(JSON.stringify(op.node)));
+        } else if (op.type === 'delete') {
+            const location = this.findParent(op.node.id);
+            if (!location) throw outOfSync();
+            location.parent.children.splice(location.index, 1);
+        } else if (op.type === 'move') {
+            const location = this.findParent(op.id);
+            const target = this.findElementById(op.to.parentId);
+            if (!location || !target) throw outOfSync();
+            const [node] = location.parent.children.splice(location.index, 1);
+            if (!target.children) target.children = [];
+            target.children.splice(op.to.index, 0, node);
+        } else {
+            const element = this.findElementById(op.id);
+            if (!element) throw outOfSync();
+            if (op.type === 'text') {
+                if (op.after === null) {
+                    delete element.textContent;
+                } else {
+                    element.textContent = op.after;
+                }
+            } else {
+                const target = EditorState.operationTarget(element, op);
+                Object.entries(op.after).forEach(([k, v]) => {
+                    if (v === null) {
+                        delete target[k];
+                    } else {
+                        target[k] = v;
+                    }
+                });
+                // Breakpoint layers only exist while they hold overrides
+                if (op.breakpoint && Object.keys(target).length === 0) {
+                    delete element.breakpointStyles[op.breakpoint];
+                    if (Object.keys(element.breakpointStyles).length === 0) delete element.breakpointStyles;
+                }
+                if (op.type === 'visibility' && Object.keys(target).length === 0) delete element.hiddenOn;
+            }
+        }
+    }
+
+    // The map of an element a style, attributes, layer or visibility operation changes, created when missing
+    static operationTarget(element, op) {
+        if (op.breakpoint) {
+            if (!element.breakpointStyles) element.breakpointStyles = {};
+            if (!element.breakpointStyles[op.breakpoint]) element.breakpointStyles[op.breakpoint] = {};
+            return element.breakpointStyles[op.breakpoint];
+        }
+        const key = { style: 'styles', attributes: 'attributes', layer: 'layer', visibility: 'hiddenOn' }[op.type];
+        if (!element[key]) element[key] = {};
+        return element[key];
+    }
+
+    // A step that cannot be replayed is rolled back so the page stays as it was; the history is dropped since later steps build on it
+    replay(transaction, undo) {
+        const ops = undo
+            ? [...transaction.ops].reverse().map(op => EditorState.invertOperation(op))
+            : transaction.ops;
+        const applied = [];
+        try {
+            ops.forEach(op => {
+                this.applyOperation(op);
+                applied.push(op);
+            });
+            return true;
+        } catch (error) {
+            console.warn('Clearing edit history:', error);
+            try {
+                applied.reverse().forEach(op => this.applyOperation(EditorState.invertOperation(op)));
+            } catch (rollbackError) {
+                console.warn('Could not roll back edit:', rollbackError);
+            }
+            this.undoStack = [];
+            this.redoStack = [];
+            return false;
+        }
+    }
+
+    undo() {
+        this.endSession();
+        const transaction = this.undoStack.pop();
+        if (!transaction) return false;
+        if (!this.replay(transaction, true)) return false;
+        this.redoStack.push(transaction);
+        return true;
+    }
+
+    redo() {
+        this.endSession();
+        const transaction = this.redoStack.pop();
+        if (!transaction) return false;
+        if (!this.replay(transaction, false)) return false;
+        this.undoStack.push(transaction);
+        return true;
+    }
+
+    // Undo or redo until `position` transactions are applied (0 = before the first recorded change)
+    jumpTo(position) {
+        let changed = false;
+        while (this.undoStack.length > position && this.undo()) changed = true;
+        while (this.undoStack.length < position && this.redo()) changed = true;
+        return changed;
+    }
+
+    // --- Recorded mutations ---
+
+    insertNode(parentId, index, node) {
+        this.record({ type: 'add', parentId, index, node: JSON.parse(JSON.stringify(node)) });
+    }
+
+    removeNode(id) {
+        const location = this.findParent(id);
+        if (!location) return false;
+        this.record({
+            type: 'delete',
+            parentId: location.parent.id,
+            index: location.index,
+            node: JSON.parse(JSON.stringify(location.parent.children[location.index]))
+        });
+        return true;
+    }
+
+    // index is the position among the new siblings once the node has been taken out
+    moveNode(id, parentId, index) {
+        const location = this.findParent(id);
+        if (!location) return false;
+        const node = location.parent.children[location.index];
+        this.record({
+            type: 'move',
+            id,
+            tag: node.tag,
+            from: { parentId: location.parent.id, index: location.index },
+            to: { parentId, index }
+        });
+        return true;
+    }
+
+    // '' or null removes a style; only values that actually change are recorded
+    // breakpoint 'tablet' or 'mobile' sets overrides instead of the base (desktop) styles
+    setStyles(id, styles, breakpoint = 'desktop') {
+        this.recordMapChange(id, 'style', 'styles', styles, breakpoint === 'desktop' ? null : breakpoint);
+    }
+
+    setAttributes(id, attributes) {
+        this.recordMapChange(id, 'attributes', 'attributes', attributes);
+    }
+
+    // Editor-only layer settings ({ name, hidden, locked }); they never reach the exported page
+    setLayer(id, values) {
+        this.recordMapChange(id, 'layer', 'layer', values);
+    }
+
+    // Breakpoints an element is hidden on ({ desktop, tablet, mobile }: true or null); unlike hidden layers this is exported
+    setHiddenOn(id, values) {
+        this.recordMapChange(id, 'visibility', 'hiddenOn', values);
+    }
+
+    recordMapChange(id, type, key, values, breakpoint = null) {
+        const element = this.findElementById(id);
+        if (!element) return;
+        const current = (breakpoint ? Breakpoints.layer(element, breakpoint) : element[key]) || {};
+        const before = {};
+        const after = {};
+        Object.entries(values).forEach(([k, v]) => {
+            const next = v === '' || v === null || v === undefined ? null : v;
+            const previous = k in current ? current[k] : null;
+            if (next !== previous) {
+                before[k] = previous;
+                after[k] = next;
+            }
+        });
+        if (Object.keys(after).length > 0) {
+            this.record({ type, id, tag: element.tag, ...(breakpoint ? { breakpoint } : {}), before, after });
+        }
+    }
+
+    setText(id, text) {
+        const element = this.findElementById(id);
+        if (!element) return;
+        const before = element.textContent === undefined ? null : element.textContent;
+        const after = text === undefined ? null : text;
+        if ((before || '') !== (after || '')) {
+            this.record({ type: 'text', id, tag: element.tag, before, after });
+        }
+    }
+
+    // An element is locked when it or one of its ancestors is
+    isLocked(id, node = this.domTree, inherited = false) {
+        const locked = inherited || Boolean(node.layer && node.layer.locked);
+        if (node.id === id) return locked;
+        for (const child of node.children || []) {
+            const found = this.isLocked(id, child, locked);
+            if (found !== null) return found;
+        }
+        return node === this.domTree ? false : null;
+    }
+
+    assertUnlocked(op) {
+        const ids = {
+            add: [op.parentId],
+            delete: [op.node && op.node.id],
+            move: [op.id, op.to && op.to.parentId]
+        }[op.type] || [op.id];
+
+        if (ids.some(id => this.isLocked(id))) {
+            const err = new Error('Element is locked');
+            err.code = 'ELEMENT_LOCKED';
+            throw err;
+        }
+    }
+
+    static canHaveChildren(node) {
+        return Boolean(node) && !['img', 'br', 'hr', 'input'].includes(node.tag);
+    }
+
+    findParent(id, node = this.domTree) {
+        if (!node.children) return null;
+        const index = node.children.findIndex(child => child.id === id);
+        if (index !== -1) return { parent: node, index };
+        for (const child of node.children) {
+            const found = this.findParent(id, child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    collectIds(node = this.domTree, ids = []) {
+        ids.push(node.id);
+        if (node.children) {
+            node.children.forEach(child => this.collectIds(child, ids));
+        }
+        return ids;
+    }
+
+    findElementById(id, node = this.domTree) {
+        if (node.id === id) return node;
+        if (node.children) {
+            for (let child of node.children) {
+                const found = this.findElementById(id, child);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
+    deleteElement(id) {
+        if (id === 'root-canvas') return false;
+
+        const success = this.removeNode(id);
+        if (success) {
+            this.selectedElementId = null;
+        }
+        return success;
+    }
+
+    cloneElement(id) {
+        const original = this.findElementById(id);
+        if (!original || id === 'root-canvas') return false;
+
+        const clone = JSON.parse(JSON.stringify(original));
+        
+        const regenerateIds = (node) => {
+            node.id = EditorState.generateId();
+            if (node.children) {
+                node.children.forEach(regenerateIds);
+            }
+        };
+        regenerateIds(clone);
+
+        const location = this.findParent(id);
+        this.transact(`Duplicate ${original.tag}`, () => {
+            this.insertNode(location.parent.id, location.index + 1, clone);
+        });
+        return clone.id;
+    }
+
+    // Wrap sibling elements in a new element placed where the first of them was; ids must share a parent
+    wrapNodes(ids, wrapper) {
+        const ordered = ids
+            .map(id => ({ id, location: this.findParent(id) }))
+            .sort((a, b) => a.location.index - b.location.index);
+        const parentId = ordered[0].location.parent.id;
+
+        this.transact(`Wrap in ${wrapper.tag}`, () => {
+            this.insertNode(parentId, ordered[0].location.index, wrapper);
+            ordered.forEach((entry, i) => this.moveNode(entry.id, wrapper.id, i));
+        });
+    }
+
+    // The key an element already uses for a CSS property (camelCase from the properties panel or kebab-case), in any breakpoint
+    static styleKey(element, property) {
+        const normalized = DOMRenderer.normalizeStyleKey(property);
+        return Breakpoints.styleMaps(element).flatMap(Object.keys)
+            .find(k => DOMRenderer.normalizeStyleKey(k) === normalized) || property;
+    }
+}
+
+class DOMRenderer {
+    // Local SVG image as a data URI, so new images and broken media never depend on a remote service
+    static createPlaceholder(label, width = 600, height = 300) {
+        const text = String(label).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const svg =
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            '<rect width="100%" height="100%" fill="#f1f1f1" />' +
+            '<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" fill="#666" font-family="Arial" ' +
+            `font-size="${Math.max(12, Math.round(Math.min(width, height) / 8))}">${text}</text>` +
+            '</svg>';
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    static normalizeStyleKey(key) {
+        if (!key) return key;
+        if (key.includes('-')) return key;
+        return key.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`);
+    }
+
+    // Inline style of a node as shown at a breakpoint
+    static styleString(node, breakpoint = 'desktop') {
+        return Object.entries(HtmlSanitizer.sanitizeStyles(Breakpoints.effectiveStyles(node, breakpoint)))
+            .map(([k, v]) => `${DOMRenderer.normalizeStyleKey(k)}:${v}`)
+            .join(';');
+    }
+
+    // Attributes of a node on the canvas besides id and style, including the selection highlight and layer markers.
+    // Only allowlisted attributes and safe URLs reach the canvas, whatever the node's origin.
+    static canvasAttributes(node, selection, breakpoint = 'desktop') {
+        const selected = Array.isArray(selection) ? selection.includes(node.id) : selection === node.id;
+        const attributes = {
+            class: [...(node.classes || []), selected ? 'selected-element-highlight' : ''].join(' ').trim(),
+            ...HtmlSanitizer.sanitizeAttributes(node.attributes).attributes
+        };
+
+        // Hidden layers stay in the page but are not shown on the canvas
+        if (node.layer && node.layer.hidden) attributes['data-layer-hidden'] = 'true';
+        if (node.layer && node.layer.locked) attributes['data-layer-locked'] = 'true';
+        if (Breakpoints.isHidden(node, breakpoint)) attributes['data-breakpoint-hidden'] = 'true';
+        return attributes;
+    }
+
+    // selection is a selected id or a list of them; breakpoint is the view the styles are resolved for
+    static renderToHTML(node, selection, breakpoint = 'desktop') {
+        const { class: classString, ...attributes } = DOMRenderer.canvasAttributes(node, selection, breakpoint);
+        const attrString = Object.entries(attributes)
+            .map(([k, v]) => `${k}="${ExportManager.escapeAttr(v)}"`)
+            .join(' ');
+
+        // Tags that could run or load code are shown as plain containers
+        const tag = HtmlSanitizer.isAllowedTag(node.tag) ? node.tag : 'div';
+        const selfClosing = ['img', 'br', 'hr', 'input'].includes(tag);
+        
+        let html = `<${tag} id="${ExportManager.escapeAttr(node.id)}" class="${ExportManager.escapeAttr(classString)}" ` +
+            `style="${ExportManager.escapeAttr(DOMRenderer.styleString(node, breakpoint))}" ${attrString}`;
+        
+        if (selfClosing) {
+            html += ' />';
+        } else {
+            html += '>';
+            if (node.textContent) {
+                html += ExportManager.escapeHtml(node.textContent);
+            }
+            if (node.children) {
+                node.children.forEach(child => {
+                    html += DOMRenderer.renderToHTML(child, selection, breakpoint);
+                });
+            }
+            html += `</${tag}>`;
+        }
+        
+        return html;
+    }
+
+    /**
+     * Patches turning the tree last rendered on the canvas into the next one, applied by the canvas runtime.
+     * The views are the { selection, breakpoint } each tree is shown with.
+     * Returns null when a full render is needed instead (another root, a changed tag, or most of the page changed).
+     */
+    static diff(previous, next, previousView, nextView) {
+        if (!previous || previous.id !== next.id || previous.tag !== next.tag) return null;
+
+        const oldNodes = new Map();
+        const children = new Map(); // child ids of every element, in the order the canvas currently shows them
+        const parents = new Map();
+        const indexOld = (node) => {
+            oldNodes.set(node.id, node);
+            children.set(node.id, (node.children || []).map(child => child.id));
+            (node.children || []).forEach(child => {
+                parents.set(child.id, node.id);
+                indexOld(child);
+            });
+        };
+        indexOld(previous);
+
+        const newIds = new Set();
+        const indexNew = (node) => {
+            newIds.add(node.id);
+            (node.children || []).forEach(indexNew);
+        };
+        indexNew(next);
+
+        const containsOld = (node) => (node.children || []).some(child => oldNodes.has(child.id) || containsOld(child));
+        const containsNew = (node) => (node.children || []).some(child => newIds.has(child.id) || containsNew(child));
+        const patches = [];
+        const deferred = [];
+
+        // Removed elements go first, except those still holding elements that move elsewhere
+        oldNodes.forEach((node, id) => {
+            if (newIds.has(id) || !newIds.has(parents.get(id))) return;
+            if (containsNew(node)) {
+                deferred.push({ type: 'remove', id });
+            } else {
+                const siblings = children.get(parents.get(id));
+                siblings.splice(siblings.indexOf(id), 1);
+                patches.push({ type: 'remove', id });
+            }
+        });
+
+        // Pre-order, so an element's parent is already in its final place when the element is moved or inserted
+        let fallback = false;
+        const visit = (node) => {
+            const old = oldNodes.get(node.id);
+            if (old) {
+                if (old.tag !== node.tag) {
+                    fallback = true;
+                    return;
+                }
+                const style = DOMRenderer.styleString(node, nextView.breakpoint);
+                if (style !== DOMRenderer.styleString(old, previousView.breakpoint)) patches.push({ type: 'style', id: node.id, style });
+                if ((node.textContent || '') !== (old.textContent || '')) patches.push({ type: 'text', id: node.id, text: node.textContent || '' });
+                const attributes = DOMRenderer.canvasAttributes(node, nextView.selection, nextView.breakpoint);
+                const oldAttributes = DOMRenderer.canvasAttributes(old, previousView.selection, previousView.breakpoint);
+                if (JSON.stringify(attributes) !== JSON.stringify(oldAttributes)) {
+                    patches.push({ type: 'attributes', id: node.id, attributes });
+                }
+            }
+
+            // Children already in place stay put; the others are placed from the end, each before its next sibling
+            const current = children.get(node.id);
+            const nextChildren = node.children || [];
+            const stable = DOMRenderer.stableIndexes(nextChildren.map(child => current.indexOf(child.id)));
+            let beforeId = null;
+            for (let index = nextChildren.length - 1; index >= 0; index--) {
+                const child = nextChildren[index];
+                if (!stable.has(index)) {
+                    if (oldNodes.has(child.id)) {
+                        const siblings = children.get(parents.get(child.id));
+                        siblings.splice(siblings.indexOf(child.id), 1);
+                        patches.push({ type: 'move', id: child.id, parentId: node.id, beforeId });
+                    } else {
+                        // A new element wrapping existing ones is inserted empty and filled by moves
+                        const shallow = containsOld(child);
+                        children.set(child.id, []);
+                        patches.push({
+                            type: 'insert',
+                            parentId: node.id,
+                            beforeId,
+                            html: DOMRenderer.renderToHTML(shallow ? { ...child, children: [] } : child, nextView.selection, nextView.breakpoint)
+                        });
+                    }
+                    current.splice(beforeId ? current.indexOf(beforeId) : current.length, 0, child.id);
+                    parents.set(child.id, node.id);
+                }
+                beforeId = child.id;
+            }
+
+            nextChildren.forEach(child => {
+                if (oldNodes.has(child.id) || containsOld(child)) visit(child);
+            });
+        };
+        visit(next);
+
+        patches.push(...deferred);
+        if (fallback || patches.length > Math.max(50, newIds.size / 2)) return null;
+        return patches;
+    }
+
+    // Indexes of the longest run of positions (-1 = not present) that is already in increasing order
+    static stableIndexes(positions) {
+        const lengths = [];
+        const previous = [];
+        let best = -1;
+        positions.forEach((position, i) => {
+            lengths[i] = position < 0 ? 0 : 1;
+            previous[i] = -1;
+            if (position < 0) return;
+            for (let j = 0; j < i; j++) {
+                if (positions[j] >= 0 && positions[j] < position && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+            if (best < 0 || lengths[i] > lengths[best]) best = i;
+        });
+
+        const stable = new Set();
+        for (let i = best; i >= 0; i = previous[i]) stable.add(i);
+        return stable;
+    }
+
+    // version identifies this document in the messages exchanged with the editor
+    static getFullHTML(rootNode, selection, version = 0, breakpoint = 'desktop') {
+        const content = DOMRenderer.renderToHTML(rootNode, selection, breakpoint);
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body, html { margin: 0; padding: 0; height: 100%; }
+                    .selected-element-highlight {
+                        outline: 2px solid #007acc !important;
+                        outline-offset: -2px !important;
+                        box-shadow: 0 0 5px rgba(0,122,204,0.5) !important;
+                    }
+                    [data-layer-hidden], [data-breakpoint-hidden] {
+                        display: none !important;
+                    }
+                    [data-drag-over="true"] {
+                        background-color: rgba(0, 122, 204, 0.1) !important;
+                        outline: 2px dashed #007acc !important;
+                    }
+                    .vd-drop-indicator {
+                        position: fixed;
+                        pointer-events: none;
+                        z-index: 2147483647;
+                        border-top: 2px solid #007acc;
+                    }
+                    .vd-drop-indicator[data-position="inside"] {
+                        border: 2px dashed #007acc;
+                        background-color: rgba(0, 122, 204, 0.1);
+                    }
+                    /* Hover outline, box model and resize handles, drawn above the page */
+                    .vd-overlay, .vd-overlay * {
+                        position: fixed;
+                        box-sizing: border-box;
+                        pointer-events: none;
+                        min-width: 0 !important;
+                        min-height: 0 !important;
+                        outline: none !important;
+                    }
+                    .vd-overlay {
+                        top: 0;
+                        left: 0;
+                        z-index: 2147483646;
+                    }
+                    .vd-hover-box {
+                        border: 1px solid rgba(0, 122, 204, 0.8);
+                    }
+                    .vd-hover-label {
+                        padding: 1px 5px;
+                        background: #007acc;
+                        color: #fff;
+                        font: 11px/16px Arial, sans-serif;
+                        white-space: nowrap;
+                    }
+                    .vd-margin-box {
+                        border-style: solid;
+                        border-color: rgba(246, 178, 107, 0.45);
+                    }
+                    .vd-padding-box {
+                        border-style: solid;
+                        border-color: rgba(147, 196, 125, 0.45);
+                    }
+                    .vd-resize-handle {
+                        width: 9px;
+                        height: 9px;
+                        margin: -4px 0 0 -4px;
+                        background: #fff;
+                        border: 1px solid #007acc;
+                        pointer-events: auto;
+                    }
+                    .vd-resize-handle[data-axis="x"] { cursor: ew-resize; }
+                    .vd-resize-handle[data-axis="y"] { cursor: ns-resize; }
+                    .vd-resize-handle[data-axis="xy"] { cursor: nwse-resize; }
+                    .vd-overlay [hidden] {
+                        display: none;
+                    }
+                    /* Ensure all elements are selectable even if empty */
+                    *:empty:not(img):not(input):not(br):not(hr) {
+                        min-height: 20px;
+                        min-width: 20px;
+                        outline: 1px dashed #ccc;
+                    }
+                </style>
+            </head>
+            <body>
+                ${content}
+                <script>
+                    // Media loading fallbacks
+                    const IMG_PLACEHOLDER = ${JSON.stringify(DOMRenderer.createPlaceholder('Invalid image URL'))};
+                    const VIDEO_POSTER_PLACEHOLDER = ${JSON.stringify(DOMRenderer.createPlaceholder('Invalid video URL'))};
+
+                    // root itself and every element inside it matching selector
+                    const within = (root, selector) => {
+                        const found = Array.from(root.querySelectorAll(selector));
+                        if (root.matches && root.matches(selector)) found.unshift(root);
+                        return found;
+                    };
+
+                    const attachMediaFallbacks = (root) => {
+                        within(root, 'img').forEach((img) => {
+                            const currentSrc = img.getAttribute('src') || '';
+                            if (!currentSrc.trim()) {
+                                img.src = IMG_PLACEHOLDER;
+                            }
+
+                            img.addEventListener('error', () => {
+                                img.src = IMG_PLACEHOLDER;
+                            }, { once: true });
+
+                            // If the image already errored before we attached listeners
+                            if (img.complete && img.naturalWidth === 0) {
+                                img.src = IMG_PLACEHOLDER;
+                            }
+                        });
+
+                        within(root, 'video').forEach((video) => {
+                            if (!video.hasAttribute('controls')) {
+                                video.setAttribute('controls', '');
+                            }
+
+                            const currentSrc = video.getAttribute('src') || '';
+                            if (!currentSrc.trim()) {
+                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
+                            }
+
+                            video.addEventListener('error', () => {
+                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
+                            }, { once: true });
+
+                            // If the video already errored before we attached listeners
+                            if (video.error) {
+                                video.setAttribute('poster', VIDEO_POSTER_PLACEHOLDER);
+                            }
+                        });
+                    };
+
+                    attachMediaFallbacks(document);
+
+                    // Clipboard shortcuts are handled by the editor
+                    ['copy', 'cut', 'paste'].forEach((action) => {
+                        document.addEventListener(action, (e) => {
+                            // Inside inline text editing only plain text is pasted
+                            if (e.target.isContentEditable) {
+                                if (action === 'paste') {
+                                    e.preventDefault();
+                                    document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+                                }
+                                return;
+                            }
+                            e.preventDefault();
+                            const data = action === 'paste'
+                                ? { html: e.clipboardData.getData('text/html'), text: e.clipboardData.getData('text/plain') }
+                                : null;
+                            window.parent.postMessage({ type: 'CLIPBOARD', action: action, data: data }, '*');
+                        });
+                    });
+
+                    // Communication with parent
+                    let boundShortcuts = [];
+                    let textTags = [];
+                    let renderVersion = ${Number(version)};
+
+                    // Incremental updates computed by DOMRenderer.diff
+                    const placeElement = (el, patch) => {
+                        const parent = document.getElementById(patch.parentId);
+                        const before = patch.beforeId ? document.getElementById(patch.beforeId) : null;
+                        if (!parent || (patch.beforeId && (!before || before.parentNode !== parent))) {
+                            throw new Error('Cannot place element in ' + patch.parentId);
+                        }
+                        parent.insertBefore(el, before);
+                    };
+
+                    const applyPatch = (patch) => {
+                        if (patch.type === 'insert') {
+                            const template = document.createElement('template');
+                            template.innerHTML = patch.html;
+                            const inserted = template.content.firstElementChild;
+                            placeElement(inserted, patch);
+                            prepareElements(inserted);
+                            return;
+                        }
+
+                        const el = document.getElementById(patch.id);
+                        if (!el) throw new Error('Missing element ' + patch.id);
+
+                        if (patch.type === 'style') {
+                            el.setAttribute('style', patch.style);
+                        } else if (patch.type === 'text') {
+                            // The text comes before the child elements
+                            Array.from(el.childNodes).forEach((child) => {
+                                if (!(child.nodeType === 1 && child.id)) child.remove();
+                            });
+                            if (patch.text) el.insertBefore(document.createTextNode(patch.text), el.firstChild);
+                        } else if (patch.type === 'attributes') {
+                            Array.from(el.attributes).forEach((attr) => {
+                                if (['id', 'style', 'draggable', 'contenteditable'].indexOf(attr.name) === -1) el.removeAttribute(attr.name);
+                            });
+                            Object.keys(patch.attributes).forEach((name) => el.setAttribute(name, patch.attributes[name]));
+                            prepareElements(el);
+                        } else if (patch.type === 'move') {
+                            placeElement(el, patch);
+                        } else if (patch.type === 'remove') {
+                            el.remove();
+                        }
+                    };
+
+                    window.addEventListener('message', (e) => {
+                        if (!e.data) return;
+                        if (e.data.type === 'CONFIG') {
+                            boundShortcuts = e.data.shortcuts;
+                            textTags = e.data.textTags;
+                        } else if (e.data.type === 'PATCH' && e.data.version === renderVersion) {
+                            try {
+                                e.data.patches.forEach(applyPatch);
+                                updateOverlay();
+                            } catch (err) {
+                                // Out of sync with the editor: ask for a full render
+                                window.parent.postMessage({ type: 'RENDER_FAILED', version: renderVersion, error: err.message }, '*');
+                                renderVersion = null;
+                            }
+                        }
+                    });
+
+                    // Bound shortcuts come normalized from the editor, see CommandRegistry.fromEvent
+                    ${shortcutFromEvent.toString()}
+
+                    window.addEventListener('keydown', (e) => {
+                        const target = e.target;
+                        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(target.tagName) !== -1) return;
+                        if (boundShortcuts.indexOf(shortcutFromEvent(e)) !== -1) e.preventDefault();
+                        window.parent.postMessage({
+                            type: 'KEYDOWN',
+                            init: { key: e.key, code: e.code, ctrlKey: e.ctrlKey, metaKey: e.metaKey, altKey: e.altKey, shiftKey: e.shiftKey }
+                        }, '*');
+                    });
+
+                    window.addEventListener('click', (e) => {
+                        // Clicks inside the element being edited place the caret
+                        if (e.target.isContentEditable) return;
+                        e.preventDefault();
+                        e.stopPropagation();
+                        const id = e.target.id;
+                        if (id) {
+                            window.parent.postMessage({
+                                type: 'SELECT_ELEMENT',
+                                id: id,
+                                additive: e.shiftKey || e.ctrlKey || e.metaKey
+                            }, '*');
+                        }
+                    });
+
+                    // Moving existing elements: dropped before, after or inside another element
+                    const LEAF_TAGS = ['IMG', 'BR', 'HR', 'INPUT'];
+                    const dropIndicator = document.createElement('div');
+                    dropIndicator.className = 'vd-drop-indicator';
+                    let draggedId = null;
+
+                    const updateDraggable = (root) => {
+                        within(root, '[id]').forEach((el) => {
+                            el.draggable = el.id !== 'root-canvas' && !el.closest('[data-layer-locked]');
+                        });
+                    };
+
+                    // Set up elements added or changed after the first render
+                    const prepareElements = (root) => {
+                        updateDraggable(root);
+                        attachMediaFallbacks(root);
+                    };
+
+                    updateDraggable(document);
+
+                    // Top and bottom quarters of an element drop before or after it, the middle drops inside
+                    const getMoveTarget = (e) => {
+                        const target = e.target.closest && e.target.closest('[id]');
+                        const dragged = document.getElementById(draggedId);
+                        if (!target || !dragged || dragged.contains(target)) return null;
+
+                        const rect = target.getBoundingClientRect();
+                        const ratio = rect.height ? (e.clientY - rect.top) / rect.height : 0.5;
+                        let position;
+                        if (target.id === 'root-canvas') {
+                            position = 'inside';
+                        } else if (!LEAF_TAGS.includes(target.tagName) && ratio > 0.25 && ratio < 0.75) {
+                            position = 'inside';
+                        } else {
+                            position = ratio < 0.5 ? 'before' : 'after';
+                        }
+
+                        const parent = position === 'inside' ? target : target.parentElement;
+                        if (!parent || !parent.id || parent.closest('[data-layer-locked]')) return null;
+                        const index = position === 'inside'
+                            ? parent.children.length
+                            : Array.prototype.indexOf.call(parent.children, target) + (position === 'after' ? 1 : 0);
+                        return { target, position, parentId: parent.id, index };
+                    };
+
+                    const showDropIndicator = (drop) => {
+                        const rect = drop.target.getBoundingClientRect();
+                        dropIndicator.dataset.position = drop.position;
+                        dropIndicator.style.left = rect.left + 'px';
+                        dropIndicator.style.width = rect.width + 'px';
+                        dropIndicator.style.top = (drop.position === 'after' ? rect.bottom - 1 : rect.top) + 'px';
+                        dropIndicator.style.height = drop.position === 'inside' ? rect.height + 'px' : '0';
+                        document.body.appendChild(dropIndicator);
+                    };
+
+                    window.addEventListener('dragstart', (e) => {
+                        const el = e.target.closest && e.target.closest('[draggable="true"][id]');
+                        if (!el) return;
+                        draggedId = el.id;
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/element-id', el.id);
+                    });
+
+                    window.addEventListener('dragend', () => {
+                        draggedId = null;
+                        dropIndicator.remove();
+                    });
+
+                    // Drag & Drop handlers
+                    window.addEventListener('dragover', (e) => {
+                        e.preventDefault();
+                        if (draggedId) {
+                            const drop = getMoveTarget(e);
+                            if (drop) {
+                                showDropIndicator(drop);
+                            } else {
+                                dropIndicator.remove();
+                            }
+                            return;
+                        }
+                        const target = e.target.closest('*');
+                        if (target && target.id) {
+                            target.setAttribute('data-drag-over', 'true');
+                        }
+                    });
+
+                    window.addEventListener('dragleave', (e) => {
+                        const target = e.target.closest('*');
+                        if (target) {
+                            target.removeAttribute('data-drag-over');
+                        }
+                    });
+
+                    window.addEventListener('drop', (e) => {
+                        e.preventDefault();
+                        if (draggedId) {
+                            const drop = getMoveTarget(e);
+                            const id = draggedId;
+                            draggedId = null;
+                            dropIndicator.remove();
+                            if (drop) {
+                                window.parent.postMessage({
+                                    type: 'MOVE_ELEMENT',
+                                    id: id,
+                                    parentId: drop.parentId,
+                                    index: drop.index
+                                }, '*');
+                            }
+                            return;
+                        }
+                        const target = e.target.closest('*');
+                        if (target) {
+                            target.removeAttribute('data-drag-over');
+                            const tag = e.dataTransfer.getData('text/plain');
+                            const type = e.dataTransfer.getData('text/type');
+                            if (tag) {
+                                window.parent.postMessage({ 
+                                    type: 'ADD_ELEMENT', 
+                                    tag: tag, 
+                                    parentId: target.id,
+                                    inputType: type
+                                }, '*');
+                            }
+                        }
+                    });
+
+                    // Overlay: hover outline with tag and id, margin and padding of the selected element, resize handles
+                    const overlay = document.createElement('div');
+                    overlay.className = 'vd-overlay';
+                    const overlayPart = (className, hidden) => {
+                        const part = document.createElement('div');
+                        part.className = className;
+                        part.hidden = hidden !== false;
+                        overlay.appendChild(part);
+                        return part;
+                    };
+                    const marginBox = overlayPart('vd-margin-box');
+                    const paddingBox = overlayPart('vd-padding-box');
+                    const hoverBox = overlayPart('vd-hover-box');
+                    const hoverLabel = overlayPart('vd-hover-label');
+                    const handles = ['x', 'y', 'xy'].map((axis) => {
+                        const handle = overlayPart('vd-resize-handle');
+                        handle.dataset.axis = axis;
+                        return handle;
+                    });
+                    document.body.appendChild(overlay);
+
+                    let hovered = null;
+                    let resizing = null;
+
+                    const place = (part, left, top, width, height) => {
+                        part.style.left = left + 'px';
+                        part.style.top = top + 'px';
+                        if (width !== undefined) part.style.width = Math.max(0, width) + 'px';
+                        if (height !== undefined) part.style.height = Math.max(0, height) + 'px';
+                        part.hidden = false;
+                    };
+
+                    const px = (value) => parseFloat(value) || 0;
+
+                    const isEditable = (el) => el.id !== 'root-canvas' && !el.closest('[data-layer-locked]');
+
+                    const updateOverlay = () => {
+                        if (hovered && hovered.isConnected && !hovered.closest('[data-layer-hidden], [data-breakpoint-hidden]')) {
+                            const rect = hovered.getBoundingClientRect();
+                            place(hoverBox, rect.left, rect.top, rect.width, rect.height);
+                            hoverLabel.textContent = hovered.tagName.toLowerCase() + '#' + hovered.id;
+                            place(hoverLabel, rect.left, rect.top >= 18 ? rect.top - 18 : rect.bottom);
+                        } else {
+                            hoverBox.hidden = true;
+                            hoverLabel.hidden = true;
+                        }
+
+                        // Box model and handles only make sense for a single selected element
+                        const selected = document.querySelectorAll('.selected-element-highlight');
+                        const el = selected.length === 1 && !selected[0].closest('[data-layer-hidden], [data-breakpoint-hidden]') ? selected[0] : null;
+                        if (!el) {
+                            [marginBox, paddingBox].concat(handles).forEach((part) => { part.hidden = true; });
+                            return;
+                        }
+
+                        const rect = el.getBoundingClientRect();
+                        const style = getComputedStyle(el);
+                        const margin = [px(style.marginTop), px(style.marginRight), px(style.marginBottom), px(style.marginLeft)];
+                        const border = [px(style.borderTopWidth), px(style.borderRightWidth), px(style.borderBottomWidth), px(style.borderLeftWidth)];
+                        const padding = [px(style.paddingTop), px(style.paddingRight), px(style.paddingBottom), px(style.paddingLeft)];
+
+                        place(marginBox, rect.left - margin[3], rect.top - margin[0], rect.width + margin[1] + margin[3], rect.height + margin[0] + margin[2]);
+                        marginBox.style.borderWidth = margin.map((value) => value + 'px').join(' ');
+                        place(paddingBox, rect.left + border[3], rect.top + border[0], rect.width - border[1] - border[3], rect.height - border[0] - border[2]);
+                        paddingBox.style.borderWidth = padding.map((value) => value + 'px').join(' ');
+
+                        if (!isEditable(el)) {
+                            handles.forEach((handle) => { handle.hidden = true; });
+                            return;
+                        }
+                        place(handles[0], rect.right, rect.top + rect.height / 2);
+                        place(handles[1], rect.left + rect.width / 2, rect.bottom);
+                        place(handles[2], rect.right, rect.bottom);
+                    };
+
+                    document.addEventListener('mouseover', (e) => {
+                        if (resizing) return;
+                        const target = e.target.closest && e.target.closest('[id]');
+                        hovered = target && !overlay.contains(target) ? target : null;
+                        updateOverlay();
+                    });
+                    document.addEventListener('mouseleave', () => {
+                        hovered = null;
+                        updateOverlay();
+                    });
+                    window.addEventListener('scroll', updateOverlay, true);
+                    window.addEventListener('resize', updateOverlay);
+                    // Images and media change size when they load
+                    window.addEventListener('load', updateOverlay, true);
+
+                    // Resizing previews the new size in the canvas and reports it once, on release
+                    handles.forEach((handle) => {
+                        handle.addEventListener('mousedown', (e) => {
+                            const el = document.querySelector('.selected-element-highlight');
+                            if (!el) return;
+                            e.preventDefault();
+                            e.stopPropagation();
+                            const style = getComputedStyle(el);
+                            const rect = el.getBoundingClientRect();
+                            // Width and height apply to the content box unless box-sizing says otherwise
+                            const borderBox = style.boxSizing === 'border-box';
+                            const extraX = borderBox ? 0 : px(style.paddingLeft) + px(style.paddingRight) + px(style.borderLeftWidth) + px(style.borderRightWidth);
+                            const extraY = borderBox ? 0 : px(style.paddingTop) + px(style.paddingBottom) + px(style.borderTopWidth) + px(style.borderBottomWidth);
+                            resizing = {
+                                el: el,
+                                axis: handle.dataset.axis,
+                                startX: e.clientX,
+                                startY: e.clientY,
+                                width: rect.width - extraX,
+                                height: rect.height - extraY,
+                                originalStyle: el.getAttribute('style'),
+                                size: {}
+                            };
+                        });
+                    });
+
+                    window.addEventListener('mousemove', (e) => {
+                        if (!resizing) return;
+                        e.preventDefault();
+                        if (resizing.axis.indexOf('x') !== -1) {
+                            resizing.size.width = Math.max(0, Math.round(resizing.width + e.clientX - resizing.startX)) + 'px';
+                            resizing.el.style.width = resizing.size.width;
+                        }
+                        if (resizing.axis.indexOf('y') !== -1) {
+                            resizing.size.height = Math.max(0, Math.round(resizing.height + e.clientY - resizing.startY)) + 'px';
+                            resizing.el.style.height = resizing.size.height;
+                        }
+                        updateOverlay();
+                    });
+
+                    window.addEventListener('mouseup', () => {
+                        if (!resizing) return;
+                        const done = resizing;
+                        resizing = null;
+                        if (Object.keys(done.size).length === 0) return;
+                        // The editor sends the final style back as a patch
+                        done.el.setAttribute('style', done.originalStyle || '');
+                        window.parent.postMessage({ type: 'RESIZE_ELEMENT', id: done.el.id, size: done.size }, '*');
+                    });
+
+                    updateOverlay();
+
+                    // Inline text editing: double-click a text element, Enter or blur commits, Esc cancels
+                    let editing = null;
+
+                    const finishTextEdit = (commit) => {
+                        if (!editing) return;
+                        const done = editing;
+                        editing = null;
+                        const text = done.el.textContent;
+                        done.el.removeAttribute('contenteditable');
+                        done.el.draggable = done.draggable;
+                        if (!commit) {
+                            done.el.textContent = done.original;
+                        } else if (text !== done.original) {
+                            window.parent.postMessage({ type: 'EDIT_TEXT', id: done.el.id, text: text }, '*');
+                        }
+                        updateOverlay();
+                    };
+
+                    document.addEventListener('dblclick', (e) => {
+                        const el = e.target.closest && e.target.closest('[id]');
+                        // Only elements holding nothing but text
+                        if (!el || editing || !isEditable(el) || el.querySelector('[id]') ||
+                            textTags.indexOf(el.tagName.toLowerCase()) === -1) return;
+                        e.preventDefault();
+
+                        editing = { el: el, original: el.textContent, draggable: el.draggable };
+                        el.draggable = false;
+                        el.setAttribute('contenteditable', 'true');
+                        el.focus();
+                        const range = document.createRange();
+                        range.selectNodeContents(el);
+                        const selection = window.getSelection();
+                        selection.removeAllRanges();
+                        selection.addRange(range);
+                    });
+
+                    document.addEventListener('keydown', (e) => {
+                        if (!editing || e.target !== editing.el) return;
+                        // Handled here only, not forwarded to the editor's shortcuts
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            finishTextEdit(true);
+                        } else if (e.key === 'Escape') {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            finishTextEdit(false);
+                        }
+                    });
+
+                    document.addEventListener('focusout', (e) => {
+                        if (editing && e.target === editing.el) finishTextEdit(true);
+                    });
+
+                    window.parent.postMessage({ type: 'READY', version: renderVersion }, '*');
+                </script>
+            </body>
+            </html>
+        `;
+    }
+}
+
+class ElementLibrary {
+    constructor(editor) {
+        this.editor = editor;
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('.draggable-element').forEach(el => {
+            el.setAttribute('draggable', 'true');
+            el.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', el.dataset.tag);
+                if (el.dataset.type) {
+                    e.dataTransfer.setData('text/type', el.dataset.type);
+                }
+            });
+
+            // Handle clicking for Add Element button (Modal functionality)
+            el.addEventListener('click', () => {
+                if (document.getElementById('element-modal').classList.contains('hidden') === false) {
+                    this.editor.addElement(el.dataset.tag, this.editor.state.selectedElementId || 'root-canvas', el.dataset.type);
+                    document.getElementById('element-modal').classList.add('hidden');
+                }
+            });
+        });
+    }
+}
+
+class LayersPanel {
+    constructor(editor) {
+        this.editor = editor;
+        this.state = editor.state;
+        this.treeEl = document.getElementById('layers-tree');
+        this.collapsed = new Set();
+        this.lastSelectedId = null;
+        this.dragId = null;
+        this.init();
+    }
+
+    init() {
+        this.treeEl.addEventListener('dragend', () => {
+            this.dragId = null;
+            this.clearDropMarkers();
+        });
+    }
+
+    static defaultName(node) {
+        if (node.id === 'root-canvas') return 'Page';
+        const text = (node.textContent || '').trim();
+        return text ? `${node.tag} "${text.length > 24 ? text.substring(0, 24) + '…' : text}"` : node.tag;
+    }
+
+    render() {
+        const selectedId = this.state.selectedElementId;
+
+        // Reveal a newly selected element by expanding its ancestors
+        const selectionChanged = selectedId !== this.lastSelectedId;
+        if (selectionChanged && selectedId) {
+            let location = this.state.findParent(selectedId);
+            while (location) {
+                this.collapsed.delete(location.parent.id);
+                location = this.state.findParent(location.parent.id);
+            }
+        }
+        this.lastSelectedId = selectedId;
+
+        this.treeEl.innerHTML = '';
+        this.renderNode(this.state.domTree, 0, false);
+
+        const selectedRow = this.treeEl.querySelector('.layer-row.selected');
+        if (selectionChanged && selectedRow && selectedRow.scrollIntoView) selectedRow.scrollIntoView({ block: 'nearest' });
+    }
+
+    renderNode(node, depth, lockedAbove) {
+        const isRoot = node.id === 'root-canvas';
+        const layer = node.layer || {};
+        const locked = lockedAbove || Boolean(layer.locked);
+        const hasChildren = Boolean(node.children && node.children.length);
+
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        row.dataset.id = node.id;
+        row.style.paddingLeft = `${6 + depth * 12}px`;
+        if (this.state.selectedIds.includes(node.id)) row.classList.add('selected');
+        const breakpoint = this.state.activeBreakpoint;
+        if (layer.hidden || Breakpoints.isHidden(node, breakpoint)) row.classList.add('hidden-layer');
+        if (locked) row.classList.add('locked-layer');
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'layer-toggle';
+        toggle.textContent = hasChildren ? (this.collapsed.has(node.id) ? '▸' : '▾') : '';
+        toggle.disabled = !hasChildren;
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.collapsed.has(node.id)) {
+                this.collapsed.delete(node.id);
+            } else {
+                this.collapsed.add(node.id);
+            }
+            this.render();
+        });
+        row.appendChild(toggle);
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name || LayersPanel.defaultName(node);
+        name.title = `${node.tag} #${node.id}` + (Breakpoints.isHidden(node, breakpoint) ? ` (hidden on ${breakpoint})` : '');
+        row.appendChild(name);
+
+        if (!isRoot) {
+            name.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.startRename(node, name);
+            });
+
+            row.appendChild(this.createToggleButton('layer-visibility', layer.hidden ? '○' : '●',
+                layer.hidden ? 'Show in canvas' : 'Hide in canvas', () => this.editor.toggleLayerHidden(node.id)));
+            row.appendChild(this.createToggleButton('layer-lock', layer.locked ? '🔒' : '🔓',
+                layer.locked ? 'Unlock' : 'Lock', () => this.editor.toggleLayerLocked(node.id)));
+            if (layer.locked) row.querySelector('.layer-lock').classList.add('active');
+
+            row.draggable = !locked;
+            row.addEventListener('dragstart', (e) => {
+                this.dragId = node.id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/layer-id', node.id);
+            });
+        }
+
+        row.addEventListener('click', (e) => {
+            if (!locked) this.editor.selectElement(node.id, e.shiftKey || e.ctrlKey || e.metaKey);
+        });
+
+        row.addEventListener('dragover', (e) => {
+            const target = this.dropTarget(e, row, node);
+            if (!target) return;
+            e.preventDefault();
+            this.clearDropMarkers();
+            row.classList.add(`drop-${target.position}`);
+        });
+        row.addEventListener('dragleave', () => {
+            row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+        });
+        row.addEventListener('drop', (e) => {
+            const target = this.dropTarget(e, row, node);
+            this.clearDropMarkers();
+            if (!target) return;
+            e.preventDefault();
+            const id = this.dragId;
+            this.dragId = null;
+            this.editor.moveElement(id, target.parentId, target.index);
+        });
+
+        this.treeEl.appendChild(row);
+
+        if (hasChildren && !this.collapsed.has(node.id)) {
+            node.children.forEach(child => this.renderNode(child, depth + 1, locked));
+        }
+    }
+
+    createToggleButton(className, label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    // Top and bottom quarters of a row drop before or after it, the middle drops inside
+    dropTarget(e, row, node) {
+        const dragged = this.dragId && this.state.findElementById(this.dragId);
+        if (!dragged || node.id === dragged.id || this.state.findElementById(node.id, dragged)) return null;
+
+        const rect = row.getBoundingClientRect();
+        const ratio = rect.height ? (e.clientY - rect.top) / rect.height : 0.5;
+        let position;
+        if (node.id === 'root-canvas') {
+            position = 'inside';
+        } else if (EditorState.canHaveChildren(node) && ratio > 0.25 && ratio < 0.75) {
+            position = 'inside';
+        } else {
+            position = ratio < 0.5 ? 'before' : 'after';
+        }
+
+        if (position === 'inside') {
+            if (!EditorState.canHaveChildren(node) || this.state.isLocked(node.id)) return null;
+            return { position, parentId: node.id, index: (node.children || []).length };
+        }
+
+        const location = this.state.findParent(node.id);
+        if (!location || this.state.isLocked(location.parent.id)) return null;
+        return { position, parentId: location.parent.id, index: location.index + (position === 'after' ? 1 : 0) };
+    }
+
+    clearDropMarkers() {
+        this.treeEl.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(row => {
+            row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+        });
+    }
+
+    startRename(node, nameEl) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = (node.layer && node.layer.name) || LayersPanel.defaultName(node);
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            if (save && value !== ((node.layer && node.layer.name) || LayersPanel.defaultName(node))) {
+                this.editor.renameLayer(node.id, value === LayersPanel.defaultName(node) ? '' : value);
+            } else {
+                this.render();
+            }
+        };
+
+        input.addEventListener('click', e => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
+
+class PropertiesPanel {
+    constructor(editor) {
+        this.editor = editor;
+        this.inputs = {
+            textContent: document.getElementById('prop-text-content'),
+            width: document.getElementById('prop-width'),
+            height: document.getElementById('prop-height'),
+            padding: document.getElementById('prop-padding'),
+            margin: document.getElementById('prop-margin'),
+            color: document.getElementById('prop-color'),
+            background: document.getElementById('prop-background'),
+            fontSize: document.getElementById('prop-font-size'),
+            textAlign: document.getElementById('prop-text-align'),
+            display: document.getElementById('prop-display'),
+            border: document.getElementById('prop-border'),
+            borderRadius: document.getElementById('prop-border-radius'),
+            position: document.getElementById('prop-position'),
+            top: document.getElementById('prop-top'),
+            right: document.getElementById('prop-right'),
+            bottom: document.getElementById('prop-bottom'),
+            left: document.getElementById('prop-left'),
+            zIndex: document.getElementById('prop-z-index'),
+            fontFamily: document.getElementById('prop-font-family'),
+            fontWeight: document.getElementById('prop-font-weight'),
+            lineHeight: document.getElementById('prop-line-height'),
+            letterSpacing: document.getElementById('prop-letter-spacing'),
+            overflow: document.getElementById('prop-overflow'),
+            opacity: document.getElementById('prop-opacity'),
+            boxShadow: document.getElementById('prop-box-shadow'),
+            transform: document.getElementById('prop-transform')
+        };
+        this.styleKeys = ['width', 'height', 'padding', 'margin', 'color', 'background', 'fontSize', 'textAlign', 'display', 'border', 'borderRadius',
+            'position', 'top', 'right', 'bottom', 'left', 'zIndex', 'fontFamily', 'fontWeight', 'lineHeight', 'letterSpacing',
+            'overflow', 'opacity', 'boxShadow', 'transform'];
+        this.textTags = ['p', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'button', 'a', 'label', 'li', 'td', 'th', 'strong', 'em', 'u', 'code', 'pre', 'blockquote'];
+        this.breadcrumb = document.getElementById('element-breadcrumb');
+        this.form = document.getElementById('properties-form');
+        this.selectionActions = document.getElementById('selection-actions');
+        this.flexActions = document.getElementById('flex-actions');
+        this.flexHint = document.getElementById('flex-actions-hint');
+        this.btnClone = document.getElementById('btn-clone-element');
+        this.btnDelete = document.getElementById('btn-delete-element');
+        this.breakpointInfo = document.getElementById('breakpoint-info');
+        this.hiddenOnGroup = document.getElementById('prop-hidden-on-group');
+        this.hiddenOnInput = document.getElementById('prop-hidden-on');
+        this.hiddenOnLabel = document.getElementById('prop-hidden-on-label');
+        this.resetButtons = this.createOverrideResets();
+        // Free-form list of the properties without a field of their own
+        this.styleList = document.getElementById('prop-style-list');
+        this.populatePropertyNames();
+
+        this.mediaSrcGroup = this.createMediaSrcField();
+        this.mediaSrcLabel = this.mediaSrcGroup.querySelector('label');
+        this.inputs.mediaSrc = this.mediaSrcGroup.querySelector('input');
+
+        this.linkGroup = this.createLinkField();
+        this.inputs.linkPage = this.linkGroup.querySelector('select');
+        this.inputs.linkHref = this.linkGroup.querySelector('input');
+
+        this.init();
+    }
+
+    init() {
+        Object.entries(this.inputs).forEach(([key, input]) => {
+            input.addEventListener('input', () => {
+                this.updateSelectedElement(key);
+            });
+            input.addEventListener('change', () => {
+                this.updateSelectedElement(key);
+            });
+        });
+
+        // Leaving the panel closes its edit session, so the next change starts a new undo step
+        this.form.addEventListener('focusout', (e) => {
+            if (!e.relatedTarget || !this.form.contains(e.relatedTarget)) {
+                this.editor.state.endSession();
+            }
+        });
+
+        this.inputs.linkPage.addEventListener('change', () => {
+            this.inputs.linkHref.classList.toggle('hidden', this.inputs.linkPage.value !== '');
+        });
+
+        this.hiddenOnInput.addEventListener('change', () => this.updateHiddenOn());
+        Object.entries(this.resetButtons).forEach(([key, button]) => {
+            button.addEventListener('click', () => this.resetOverride(key));
+        });
+
+        this.btnDelete.addEventListener('click', () => {
+            const count = this.editor.state.selectedIds.length;
+            if (confirm(count > 1 ? `Delete ${count} selected elements?` : 'Delete selected element?')) {
+                this.editor.deleteSelected();
+            }
+        });
+
+        this.btnClone.addEventListener('click', () => {
+            this.editor.cloneSelected();
+        });
+
+        // Group actions for a multiple selection
+        this.selectionActions.querySelectorAll('[data-wrap]').forEach(button => {
+            button.addEventListener('click', () => this.editor.wrapSelected(button.dataset.wrap));
+        });
+        this.selectionActions.querySelectorAll('[data-align]').forEach(button => {
+            button.addEventListener('click', () => this.editor.alignSelected(button.dataset.align));
+        });
+        this.selectionActions.querySelectorAll('[data-distribute]').forEach(button => {
+            button.addEventListener('click', () => this.editor.distributeSelected(button.dataset.distribute));
+        });
+    }
+
+    // A reset button by each style field's label, shown when the active breakpoint overrides the value
+    createOverrideResets() {
+        const buttons = {};
+        this.styleKeys.forEach(key => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'override-reset hidden';
+            button.textContent = 'Reset';
+            this.inputs[key].parentElement.querySelector('label').appendChild(button);
+            buttons[key] = button;
+        });
+        return buttons;
+    }
+
+    createMediaSrcField() {
+        const group = document.createElement('div');
+        group.className = 'property-group hidden';
+        group.id = 'prop-media-src-group';
+
+        const label = document.createElement('label');
+        label.textContent = 'Media URL';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = 'prop-media-src';
+        input.placeholder = 'https://...';
+
+        group.appendChild(label);
+        group.appendChild(input);
+
+        const actionsEl = this.form.querySelector('.actions');
+        if (actionsEl) {
+            this.form.insertBefore(group, actionsEl);
+        } else {
+            this.form.appendChild(group);
+        }
+
+        return group;
+    }
+
+    createLinkField() {
+        const group = document.createElement('div');
+        group.className = 'property-group hidden';
+        group.id = 'prop-link-group';
+
+        const label = document.createElement('label');
+        label.textContent = 'Link';
+
+        const select = document.createElement('select');
+        select.id = 'prop-link-page';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = 'prop-link-href';
+        input.placeholder = 'https://...';
+
+        group.appendChild(label);
+        group.appendChild(select);
+        group.appendChild(input);
+
+        this.form.insertBefore(group, this.mediaSrcGroup);
+
+        return group;
+    }
+
+    populateLinkField(element) {
+        const select = this.inputs.linkPage;
+        select.innerHTML = '';
+
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = 'Custom URL';
+        select.appendChild(custom);
+
+        this.editor.state.pages.forEach(page => {
+            const option = document.createElement('option');
+            option.value = page.id;
+            option.textContent = `Page: ${page.name}`;
+            select.appendChild(option);
+        });
+
+        const href = (element.attributes && element.attributes.href) || '';
+        const pageId = href.startsWith('page:') ? href.slice(5) : '';
+        select.value = this.editor.state.findPage(pageId) ? pageId : '';
+        this.inputs.linkHref.value = pageId ? '' : href;
+        this.inputs.linkHref.classList.toggle('hidden', select.value !== '');
+    }
+
+    updateUI(element) {
+        const state = this.editor.state;
+        const selected = state.selectedIds.map(id => state.findElementById(id)).filter(Boolean);
+
+        if (!element) {
+            this.form.classList.add('hidden');
+            this.breadcrumb.textContent = 'No element selected';
+            this.mediaSrcGroup.classList.add('hidden');
+            this.linkGroup.classList.add('hidden');
+            return;
+        }
+
+        const multiple = selected.length > 1;
+        this.form.classList.remove('hidden');
+        this.breadcrumb.textContent = multiple ? `${selected.length} elements selected` : this.getElementPath(element.id);
+
+        this.selectionActions.classList.toggle('hidden', !multiple);
+        if (multiple) {
+            const flexParent = this.editor.selectionFlexParent();
+            this.flexActions.classList.toggle('hidden', !flexParent);
+            this.flexHint.classList.toggle('hidden', Boolean(flexParent));
+        }
+        this.btnClone.textContent = multiple ? 'Duplicate All' : 'Clone Element';
+        this.btnDelete.textContent = multiple ? 'Delete All' : 'Delete Element';
+
+        this.populateProperties(multiple ? selected : [element]);
+    }
+
+    // Fields show the value shared by every element, or a "Mixed" marker when they differ
+    populateProperties(elements) {
+        const element = elements[0];
+        const shared = (read) => {
+            const values = elements.map(read);
+            return values.every(value => value === values[0]) ? values[0] : null;
+        };
+        const setField = (input, value, fallback = '') => {
+            if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder || '';
+            input.classList.toggle('mixed', value === null);
+            this.flagInvalid(input, null);
+            if (input.type !== 'color' && input.tagName !== 'SELECT') {
+                input.placeholder = value === null ? 'Mixed' : input.dataset.placeholder;
+            }
+            input.value = value === null ? fallback : value;
+        };
+
+        // Style fields show the values at the active breakpoint, inherited from the wider ones when not overridden
+        const breakpoint = this.editor.state.activeBreakpoint;
+        setField(this.inputs.textContent, shared(el => el.textContent || ''));
+        this.styleKeys.forEach(key => {
+            const value = shared(el => Breakpoints.value(el, key, breakpoint));
+            if (key === 'color') {
+                setField(this.inputs.color, value === null ? null : this.rgbToHex(value) || '#000000', '#000000');
+            } else {
+                setField(this.inputs[key], value);
+            }
+            this.showOverride(key, elements);
+        });
+        this.renderStyleList(elements);
+        this.populateBreakpoint(elements, shared);
+        
+        // Hide/show text content for non-text elements
+        if (elements.every(el => this.textTags.includes(el.tag))) {
+            this.inputs.textContent.parentElement.classList.remove('hidden');
+        } else {
+            this.inputs.textContent.parentElement.classList.add('hidden');
+        }
+
+        // Media URL for img/video elements
+        const isMedia = elements.every(el => el.tag === 'img' || el.tag === 'video');
+        if (isMedia) {
+            const tag = shared(el => el.tag);
+            this.mediaSrcGroup.classList.remove('hidden');
+            this.mediaSrcLabel.textContent = tag === 'img' ? 'Image URL' : tag === 'video' ? 'Video URL' : 'Media URL';
+            setField(this.inputs.mediaSrc, shared(el => (el.attributes && el.attributes.src) || ''));
+        } else {
+            this.mediaSrcGroup.classList.add('hidden');
+            this.inputs.mediaSrc.value = '';
+        }
+
+        // Link target for anchors: another page of the project or any URL
+        if (elements.every(el => el.tag === 'a')) {
+            this.linkGroup.classList.remove('hidden');
+            this.populateLinkField(element);
+            if (shared(el => (el.attributes && el.attributes.href) || '') === null) {
+                this.inputs.linkPage.value = '';
+                this.inputs.linkHref.classList.remove('hidden');
+                setField(this.inputs.linkHref, null);
+            } else {
+                setField(this.inputs.linkHref, this.inputs.linkHref.value);
+            }
+        } else {
+            this.linkGroup.classList.add('hidden');
+        }
+    }
+
+    showOverride(key, elements) {
+        const breakpoint = this.editor.state.activeBreakpoint;
+        const overridden = breakpoint !== 'desktop' && elements.some(el => Breakpoints.source(el, key, breakpoint) === breakpoint);
+        this.inputs[key].parentElement.classList.toggle('overridden', overridden);
+        this.resetButtons[key].classList.toggle('hidden', !overridden);
+        this.resetButtons[key].title = `Remove the ${breakpoint} value and inherit it from the wider views`;
+    }
+
+    populateBreakpoint(elements, shared) {
+        const breakpoint = this.editor.state.activeBreakpoint;
+        const widths = Breakpoints.widths(this.editor.state.project);
+        this.breakpointInfo.textContent = breakpoint === 'desktop'
+            ? 'Editing desktop styles, used at every width unless a smaller view overrides them.'
+            : `Editing ${breakpoint} styles (up to ${widths[breakpoint]}px). Highlighted fields override the wider views.`;
+
+        this.hiddenOnGroup.classList.toggle('hidden', elements.some(el => el.id === 'root-canvas'));
+        this.hiddenOnLabel.textContent = `Hide on ${breakpoint}`;
+        const hidden = shared(el => Breakpoints.isHidden(el, breakpoint));
+        this.hiddenOnInput.checked = hidden === true;
+        this.hiddenOnInput.indeterminate = hidden === null;
+    }
+
+    updateHiddenOn() {
+        const state = this.editor.state;
+        const breakpoint = state.activeBreakpoint;
+        const hidden = this.hiddenOnInput.checked;
+        const ids = state.selectedIds.filter(id => id !== 'root-canvas' && state.findElementById(id));
+        this.editor.updateElements(ids, { hiddenOn: { [breakpoint]: hidden || null } },
+            { label: `${hidden ? 'Hide' : 'Show'} on ${breakpoint}` });
+    }
+
+    // Drop the active breakpoint's value of a style field, so it is inherited again
+    resetOverride(key) {
+        const state = this.editor.state;
+        const ids = state.selectedIds.filter(id => state.findElementById(id));
+        this.editor.updateElements(ids, element => ({ styles: { [EditorState.styleKey(element, key)]: '' } }),
+            { label: `Reset ${DOMRenderer.normalizeStyleKey(key)} on ${state.activeBreakpoint}` });
+        this.updateUI(state.findElementById(state.selectedElementId));
+    }
+
+    rgbToHex(col) {
+        if (!col) return '#000000';
+        if (col.startsWith('#')) return col;
+        // Simple conversion if needed, but for now we assume it's hex or we just return it
+        return col;
+    }
+
+    getElementPath(id) {
+        const path = [];
+        const findPath = (node, currentPath) => {
+            if (node.id === id) {
+                path.push(...currentPath, node.tag);
+                return true;
+            }
+            if (node.children) {
+                for (let child of node.children) {
+                    if (findPath(child, [...currentPath, node.tag])) return true;
+                }
+            }
+            return false;
+        };
+        findPath(this.editor.state.domTree, []);
+        return path.join(' > ');
+    }
+
+    // Apply the field that changed to every selected element
+    updateSelectedElement(key) {
+        const state = this.editor.state;
+        const ids = state.selectedIds.filter(id => state.findElementById(id));
+        if (ids.length === 0 || !this.inputs[key]) return;
+
+        const input = this.inputs[key];
+        input.classList.remove('mixed');
+        if (input.dataset.placeholder !== undefined) input.placeholder = input.dataset.placeholder;
+
+        // Values the browser rejects stay in the field, flagged, and the element keeps its current value
+        if (this.styleKeys.includes(key)) {
+            const property = DOMRenderer.normalizeStyleKey(key);
+            if (!this.flagInvalid(input, PropertiesPanel.styleError(property, input.value.trim()))) return;
+        }
+
+        this.editor.updateElements(ids, element => this.collectUpdates(element, key), this.editOptions(ids));
+        if (this.resetButtons[key]) this.showOverride(key, ids.map(id => state.findElementById(id)));
+    }
+
+    // One panel session per selection: every change until focus leaves the panel is one undo step
+    editOptions(ids) {
+        const primary = this.editor.state.findElementById(this.editor.state.selectedElementId);
+        const label = ids.length > 1 ? `Edit ${ids.length} elements` : `Edit ${primary.tag} properties`;
+        return { label, sessionKey: `panel:${ids.join(',')}` };
+    }
+
+    // Why the browser would reject a declaration, or null when it is valid (an empty value removes the property)
+    static styleError(property, value) {
+        if (!PropertiesPanel.isKnownProperty(property)) return `"${property}" is not a CSS property`;
+        if (value === '') return null;
+        if (!HtmlSanitizer.isSafeStyleValue(value)) return `"${value}" is not allowed in styles`;
+        // Browsers without CSS.supports accept every value
+        if (typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && !CSS.supports(property, value)) {
+            return `"${value}" is not a valid value for ${property}`;
+        }
+        return null;
+    }
+
+    static isKnownProperty(property) {
+        if (/^--[\w-]+$/.test(property)) return true;
+        if (!/^-?[a-z][a-z0-9-]*$/.test(property)) return false;
+        return typeof CSS === 'undefined' || typeof CSS.supports !== 'function' || CSS.supports(property, 'inherit');
+    }
+
+    // Marks a field as invalid with the reason as tooltip, or clears the mark when error is null; true when valid
+    flagInvalid(input, error) {
+        input.classList.toggle('invalid', Boolean(error));
+        if (error) {
+            input.title = error;
+        } else {
+            input.removeAttribute('title');
+        }
+        return !error;
+    }
+
+    // Autocomplete for the free-form list: every standard property this browser knows
+    populatePropertyNames() {
+        const names = new Set();
+        const style = document.documentElement.style;
+        for (const key in style) {
+            if (/^[a-z][a-zA-Z-]*$/.test(key) && typeof style[key] === 'string' && !['cssText', 'cssFloat'].includes(key)) {
+                names.add(DOMRenderer.normalizeStyleKey(key));
+            }
+        }
+        Array.from(window.getComputedStyle(document.documentElement)).forEach(name => names.add(name));
+
+        const list = document.getElementById('css-property-list');
+        [...names]
+            .filter(name => !name.startsWith('-') && PropertiesPanel.isKnownProperty(name))
+            .sort()
+            .forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                list.appendChild(option);
+            });
+    }
+
+    /**
+     * Rows for the properties at the active breakpoint that have no field above, and an empty row to add one.
+     * On tablet and mobile, rows inherited from a wider view are dimmed until they are overridden.
+     */
+    renderStyleList(elements) {
+        const breakpoint = this.editor.state.activeBreakpoint;
+        const typed = new Set(this.styleKeys.map(DOMRenderer.normalizeStyleKey));
+        const names = [...new Set(elements.flatMap(el => Object.keys(Breakpoints.effectiveStyles(el, breakpoint))))]
+            .filter(name => !typed.has(name))
+            .sort();
+
+        this.styleList.innerHTML = '';
+        names.forEach(name => {
+            const values = elements.map(el => Breakpoints.value(el, name, breakpoint));
+            const own = elements.some(el => Breakpoints.source(el, name, breakpoint) === breakpoint);
+            this.styleList.appendChild(this.createStyleRow(name, values.every(value => value === values[0]) ? values[0] : null, own));
+        });
+        this.styleList.appendChild(this.createStyleRow('', '', true));
+    }
+
+    // value null means the selected elements differ
+    createStyleRow(name, value, own) {
+        const row = document.createElement('div');
+        row.className = 'style-row';
+        row.dataset.property = name;
+        row.classList.toggle('inherited', !own);
+
+        const propertyInput = document.createElement('input');
+        propertyInput.type = 'text';
+        propertyInput.className = 'style-property';
+        propertyInput.setAttribute('list', 'css-property-list');
+        propertyInput.spellcheck = false;
+        propertyInput.placeholder = 'property';
+        propertyInput.value = name;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'style-value';
+        valueInput.spellcheck = false;
+        valueInput.placeholder = value === null ? 'Mixed' : 'value';
+        valueInput.value = value || '';
+        valueInput.classList.toggle('mixed', value === null);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'style-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.classList.toggle('hidden', !name || !own);
+
+        propertyInput.addEventListener('change', () => this.renameStyleRow(row, propertyInput, valueInput));
+        valueInput.addEventListener('change', () => this.commitStyleRow(row, valueInput));
+        remove.addEventListener('click', () => {
+            this.applyStyleList(element => ({ [EditorState.styleKey(element, row.dataset.property)]: '' }));
+            // On tablet and mobile the inherited value shows up again
+            const state = this.editor.state;
+            this.renderStyleList(state.selectedIds.map(id => state.findElementById(id)).filter(Boolean));
+        });
+
+        row.appendChild(propertyInput);
+        row.appendChild(valueInput);
+        row.appendChild(remove);
+        return row;
+    }
+
+    commitStyleRow(row, valueInput) {
+        const name = row.dataset.property;
+        if (!name) return;
+        const value = valueInput.value.trim();
+        if (!this.flagInvalid(valueInput, PropertiesPanel.styleError(name, value))) return;
+
+        this.applyStyleList(element => ({ [EditorState.styleKey(element, name)]: value }));
+        valueInput.classList.remove('mixed');
+        valueInput.placeholder = 'value';
+        row.classList.remove('inherited');
+        row.querySelector('.style-remove').classList.toggle('hidden', value === '');
+    }
+
+    // A new or renamed property moves the row's value to it; the empty row at the end is replaced
+    renameStyleRow(row, propertyInput, valueInput) {
+        const previous = row.dataset.property;
+        const raw = propertyInput.value.trim();
+        const name = raw.startsWith('--') ? raw : raw.toLowerCase();
+        if (name === previous) return;
+        if (!name) {
+            propertyInput.value = previous;
+            return;
+        }
+
+        const listed = Array.from(this.styleList.children).some(other => other !== row && other.dataset.property === name);
+        const typed = this.styleKeys.some(key => DOMRenderer.normalizeStyleKey(key) === name);
+        const error = typed ? `${name} has its own field above`
+            : listed ? `${name} is already listed`
+            : (PropertiesPanel.isKnownProperty(name) ? null : `"${name}" is not a CSS property`);
+        if (!this.flagInvalid(propertyInput, error)) return;
+
+        const value = valueInput.value.trim();
+        if (value && !this.flagInvalid(valueInput, PropertiesPanel.styleError(name, value))) return;
+
+        propertyInput.value = name;
+        row.dataset.property = name;
+        if (previous || value) {
+            this.applyStyleList(element => ({
+                ...(previous ? { [EditorState.styleKey(element, previous)]: '' } : {}),
+                ...(value ? { [EditorState.styleKey(element, name)]: value } : {})
+            }));
+        }
+        if (!previous) {
+            this.styleList.appendChild(this.createStyleRow('', '', true));
+            valueInput.focus();
+        }
+    }
+
+    applyStyleList(styles) {
+        const state = this.editor.state;
+        const ids = state.selectedIds.filter(id => state.findElementById(id));
+        if (ids.length === 0) return;
+        this.editor.updateElements(ids, element => ({ styles: styles(element) }), this.editOptions(ids));
+    }
+
+    collectUpdates(element, key) {
+        const value = this.inputs[key].value;
+
+        if (key === 'textContent') {
+            return this.textTags.includes(element.tag) ? { textContent: value } : {};
+        }
+        if (key === 'mediaSrc') {
+            return element.tag === 'img' || element.tag === 'video' ? { attributes: { src: value.trim() } } : {};
+        }
+        if (key === 'linkPage' || key === 'linkHref') {
+            if (element.tag !== 'a') return {};
+            const pageId = this.inputs.linkPage.value;
+            return { attributes: { href: pageId ? `page:${pageId}` : this.inputs.linkHref.value.trim() } };
+        }
+        return { styles: { [EditorState.styleKey(element, key)]: value.trim() } };
+    }
+}
+
+class Canvas {
+    constructor(editor) {
+        this.editor = editor;
+        this.iframe = document.getElementById('preview-frame');
+        this.onRender = null;
+        this.rendered = null; // tree, selection and breakpoint the canvas document currently shows
+        this.version = 0;
+        this.loading = false;
+        this.previewing = false;
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('message', (e) => {
+            // Only the canvas document talks to the editor this way
+            if (e.source !== this.iframe.contentWindow || !e.data) return;
+            if (this.previewing) {
+                // The previewed page runs its own scripts, so it can only ask for another page or pass on a shortcut
+                if (e.data.type === 'PREVIEW_NAVIGATE') this.editor.previewPage(String(e.data.slug));
+                else if (e.data.type === 'KEYDOWN') window.dispatchEvent(new KeyboardEvent('keydown', e.data.init || {}));
+                return;
+            }
+            if (e.data.type === 'READY') {
+                if (e.data.version !== this.version) return;
+                this.loading = false;
+                this.sendConfig();
+                // Catch up with edits made while the document was loading
+                this.render(this.editor.state, { quiet: true });
+            } else if (e.data.type === 'SELECT_ELEMENT') {
+                this.editor.selectElement(e.data.id, Boolean(e.data.additive));
+            } else if (e.data.type === 'ADD_ELEMENT') {
+                this.editor.addElement(e.data.tag, e.data.parentId, e.data.inputType);
+            } else if (e.data.type === 'MOVE_ELEMENT') {
+                this.editor.moveElement(e.data.id, e.data.parentId, e.data.index);
+            } else if (e.data.type === 'EDIT_TEXT') {
+                this.editor.editTextInline(e.data.id, e.data.text);
+            } else if (e.data.type === 'RESIZE_ELEMENT') {
+                this.editor.resizeElement(e.data.id, e.data.size || {});
+            } else if (e.data.type === 'CLIPBOARD') {
+                this.editor.handleCanvasClipboard(e.data.action, e.data.data);
+            } else if (e.data.type === 'KEYDOWN') {
+                // Shortcuts pressed while the canvas has focus
+                window.dispatchEvent(new KeyboardEvent('keydown', e.data.init));
+            } else if (e.data.type === 'RENDER_FAILED' && e.data.version === this.version) {
+                console.warn('Canvas update failed, rendering again:', e.data.error);
+                this.fullRender(this.editor.state);
+            }
+        });
+    }
+
+    // Patches the canvas document in place when possible, see DOMRenderer.diff.
+    // quiet skips onRender, for catching up with changes that were already reported.
+    render(state, options = {}) {
+        if (this.previewing) {
+            // Edits made while previewing reload the preview; the editing document is rebuilt when preview ends
+            this.editor.previewPage();
+            if (this.onRender && !options.quiet) this.onRender(state);
+            return;
+        }
+
+        const view = { selection: state.selectedIds, breakpoint: state.activeBreakpoint };
+        const patches = this.rendered ? DOMRenderer.diff(this.rendered.tree, state.domTree, this.rendered, view) : null;
+
+        if (patches === null) {
+            this.fullRender(state);
+        } else if (!this.loading) {
+            // While a new document loads, changes pile up and are sent once it is ready
+            if (patches.length > 0) {
+                this.iframe.contentWindow.postMessage({ type: 'PATCH', version: this.version, patches }, '*');
+            }
+            this.rendered = this.snapshot(state);
+        }
+
+        if (this.onRender && !options.quiet) this.onRender(state);
+    }
+
+    // Replaces the whole canvas document. The frame is sandboxed without same-origin access,
+    // so the document is loaded through srcdoc and announces itself with a READY message.
+    fullRender(state) {
+        this.version += 1;
+        this.loading = true;
+        this.iframe.srcdoc = DOMRenderer.getFullHTML(state.domTree, state.selectedIds, this.version, state.activeBreakpoint);
+        this.rendered = this.snapshot(state);
+    }
+
+    // Shows an exported page in place of the editing document, without the editing runtime
+    showPreview(html) {
+        this.previewing = true;
+        this.loading = false;
+        this.version += 1; // messages from the editing document still in flight are ignored
+        this.iframe.setAttribute('sandbox', ExportManager.previewSandbox);
+        this.iframe.srcdoc = html;
+    }
+
+    exitPreview(state) {
+        this.previewing = false;
+        this.iframe.setAttribute('sandbox', 'allow-scripts');
+        this.fullRender(state);
+    }
+
+    snapshot(state) {
+        return {
+            tree: JSON.parse(JSON.stringify(state.domTree)),
+            selection: [...state.selectedIds],
+            breakpoint: state.activeBreakpoint
+        };
+    }
+
+    // Keys bound to a command (their default action is suppressed in the canvas) and the tags editable in place
+    sendConfig() {
+        if (this.previewing) return;
+        this.iframe.contentWindow.postMessage({
+            type: 'CONFIG',
+            shortcuts: this.editor.commands.boundShortcuts(),
+            textTags: this.editor.propertiesPanel.textTags
+        }, '*');
+    }
+}
+
+/**
+ * Shortcut string for a keydown event, e.g. "Mod+Shift+P", or null for a lone modifier. Letters and
+ * digits are read from the physical key so Shift and Option don't change them. Its source is also
+ * injected into the canvas and preview frames, which must claim bound keys before the browser acts.
+ */
+function shortcutFromEvent(e) {
+    if (['Control', 'Meta', 'Alt', 'Shift', 'OS', 'CapsLock', 'Dead'].indexOf(e.key) !== -1) return null;
+
+    let key = e.key === ' ' ? 'Space' : e.key;
+    const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+    if (code) key = code[1] || code[2];
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Named editor actions and their keyboard shortcuts.
+ * Shortcuts are written like "Mod+Shift+Z", where Mod is Ctrl (Cmd on macOS).
+ * The user's keymap only stores overrides of the defaults; an empty string unbinds a command.
+ */
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.keymap = {};
+    }
+
+    static get namedKeys() {
+        return ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter', 'Tab', 'Escape', 'Space',
+            'Delete', 'Backspace', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+            'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'];
+    }
+
+    static get isMac() {
+        return /Mac|iPhone|iPad/.test(navigator.platform || '');
+    }
+
+    // Canonical form of a shortcut string, '' for none, null when it cannot be parsed
+    static normalize(shortcut) {
+        const value = String(shortcut || '').trim();
+        if (!value) return '';
+
+        const parts = value.endsWith('++') ? [...value.slice(0, -2).split('+'), '+'] : value.split('+');
+        const rawKey = parts.pop();
+        const modifiers = new Set();
+        for (const part of parts) {
+            const name = part.trim().toLowerCase();
+            if (['mod', 'ctrl', 'control', 'cmd', 'meta'].includes(name)) modifiers.add('Mod');
+            else if (['alt', 'option'].includes(name)) modifiers.add('Alt');
+            else if (name === 'shift') modifiers.add('Shift');
+            else return null;
+        }
+
+        let key = rawKey === ' ' ? 'Space' : rawKey.trim();
+        if (key.length === 1) {
+            key = key.toUpperCase();
+        } else {
+            key = CommandRegistry.namedKeys.find(name => name.toLowerCase() === key.toLowerCase());
+            if (!key) return null;
+        }
+
+        return [...['Mod', 'Alt', 'Shift'].filter(name => modifiers.has(name)), key].join('+');
+    }
+
+    static fromEvent(e) {
+        const shortcut = shortcutFromEvent(e);
+        return shortcut && CommandRegistry.normalize(shortcut);
+    }
+
+    static format(shortcut) {
+        if (!shortcut) return '';
+        const names = {
+            Mod: CommandRegistry.isMac ? 'Cmd' : 'Ctrl',
+            Alt: CommandRegistry.isMac ? 'Option' : 'Alt',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            ArrowLeft: '←',
+            ArrowRight: '→'
+        };
+        const parts = shortcut.endsWith('++') ? [...shortcut.slice(0, -2).split('+'), '+'] : shortcut.split('+');
+        return parts.map(part => names[part] || part).join('+');
+    }
+
+    register(command) {
+        this.commands.set(command.id, command);
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    isEnabled(command) {
+        return !command.enabled || Boolean(command.enabled());
+    }
+
+    run(id) {
+        const command = this.commands.get(id);
+        if (!command || !this.isEnabled(command)) return false;
+        command.run();
+        return true;
+    }
+
+    setKeymap(keymap) {
+        this.keymap = {};
+        Object.entries(keymap || {}).forEach(([id, shortcut]) => {
+            if (!this.commands.has(id)) return;
+            const normalized = CommandRegistry.normalize(shortcut);
+            if (normalized !== null) this.keymap[id] = normalized;
+        });
+        this.updateTitles();
+    }
+
+    shortcutFor(id) {
+        if (Object.prototype.hasOwnProperty.call(this.keymap, id)) return this.keymap[id];
+        const command = this.commands.get(id);
+        return (command && command.shortcut) || '';
+    }
+
+    findByShortcut(shortcut) {
+        return this.list().find(command => this.shortcutFor(command.id) === shortcut) || null;
+    }
+
+    boundShortcuts() {
+        return this.list().map(command => this.shortcutFor(command.id)).filter(Boolean);
+    }
+
+    // Buttons with a data-command attribute show the command's current shortcut as tooltip
+    updateTitles() {
+        document.querySelectorAll('[data-command]').forEach(el => {
+            const command = this.commands.get(el.dataset.command);
+            if (!command) return;
+            const shortcut = CommandRegistry.format(this.shortcutFor(command.id));
+            el.title = shortcut ? `${command.label} (${shortcut})` : command.label;
+        });
+    }
+}
+
+/**
+ * Searchable list of every command (Ctrl/Cmd+K)
+ */
+class CommandPalette {
+    constructor(editor) {
+        this.editor = editor;
+        this.modal = document.getElementById('command-palette');
+        this.input = document.getElementById('command-palette-input');
+        this.list = document.getElementById('command-palette-list');
+        this.matches = [];
+        this.activeIndex = 0;
+        this.init();
+    }
+
+    init() {
+        this.input.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.matches.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.matches.length) % this.matches.length;
+                this.render();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (this.matches[this.activeIndex]) this.run(this.matches[this.activeIndex]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        window.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+    }
+
+    open() {
+        this.input.value = '';
+        this.activeIndex = 0;
+        this.modal.classList.remove('hidden');
+        this.render();
+        this.input.focus();
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    // Every word of the query must appear in the command's group or label
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.editor.commands.list().filter(command => {
+            const text = `${command.group} ${command.label}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    render() {
+        const commands = this.editor.commands;
+        this.matches = this.search(this.input.value);
+        this.list.innerHTML = '';
+
+        if (this.matches.length === 0) {
+            this.list.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+            return;
+        }
+
+        this.matches.forEach((command, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'command-palette-item';
+            item.classList.toggle('active', index === this.activeIndex);
+            item.classList.toggle('disabled', !commands.isEnabled(command));
+
+            const group = document.createElement('span');
+            group.className = 'command-palette-group';
+            group.textContent = command.group;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            label.textContent = command.label;
+
+            const shortcut = document.createElement('kbd');
+            shortcut.textContent = CommandRegistry.format(commands.shortcutFor(command.id));
+
+            item.append(group, label, shortcut);
+            item.addEventListener('click', () => this.run(command));
+            this.list.appendChild(item);
+        });
+
+        const active = this.list.querySelector('.active');
+        if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    run(command) {
+        if (!this.editor.commands.isEnabled(command)) return;
+        this.close();
+        this.editor.commands.run(command.id);
+    }
+}
+
+class Editor {
+    constructor() {
+        this.state = new EditorState();
+        this.commands = new CommandRegistry();
+        this.canvas = new Canvas(this);
+        this.library = new ElementLibrary(this);
+        this.propertiesPanel = new PropertiesPanel(this);
+        this.layersPanel = new LayersPanel(this);
+        this.settings = new Settings();
+        this.exportManager = new ExportManager(this.state);
+        this.componentExporter = new ComponentExporter(this.exportManager);
+        this.drafts = new DraftStorage();
+        this.autosave = new AutosaveManager(this);
+        this.history = new VersionHistory(this);
+        this.editHistoryPanel = new EditHistoryPanel(this);
+        this.chatManager = new ChatManager(this);
+        // Selection and page to come back to when preview mode ends, see togglePreview
+        this.previewSelection = [];
+        this.previewPageId = null;
+        this.init();
+    }
+
+    init() {
+        this.canvas.render(this.state);
+
+        this.initCommands();
+        this.initSettings();
+        this.initExport();
+        this.initDrafts();
+        this.initImport();
+        this.initPages();
+        this.initPageSettings();
+        this.initClipboard();
+
+        this.canvas.onRender = () => {
+            this.autosave.schedule();
+            this.layersPanel.render();
+            this.editHistoryPanel.render();
+            // A loaded project may use other breakpoint widths
+            this.updatePreviewWidth();
+        };
+        this.autosave.promptRestore();
+
+        // Toolbar events
+        document.getElementById('btn-undo').addEventListener('click', () => this.undo());
+        document.getElementById('btn-redo').addEventListener('click', () => this.redo());
+        document.getElementById('btn-clear').addEventListener('click', () => this.clearCanvas());
+        document.getElementById('btn-preview').addEventListener('click', () => this.togglePreview());
+        document.getElementById('btn-preview-tab').addEventListener('click', () => this.openPreviewTab());
+        document.getElementById('btn-new').addEventListener('click', () => this.newProject());
+        
+        // Modal
+        const modal = document.getElementById('element-modal');
+        const btnAdd = document.getElementById('btn-add-element');
+        const closeModal = document.querySelector('.close-modal');
+        
+        btnAdd.addEventListener('click', () => {
+            const modalLibrary = document.getElementById('modal-element-library');
+            modalLibrary.innerHTML = document.querySelector('.element-categories').innerHTML;
+            modal.classList.remove('hidden');
+            // Re-attach listeners to the cloned elements in modal
+            modalLibrary.querySelectorAll('.draggable-element').forEach(el => {
+                el.addEventListener('click', () => {
+                    this.addElement(el.dataset.tag, this.state.selectedElementId || 'root-canvas', el.dataset.type);
+                    modal.classList.add('hidden');
+                });
+            });
+        });
+        
+        closeModal.addEventListener('click', () => modal.classList.add('hidden'));
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+
+        // View options: each view is a breakpoint, and style edits go to the active one
+        Breakpoints.names.forEach(name => {
+            document.getElementById(`view-${name}`).addEventListener('click', () => this.setBreakpoint(name));
+        });
+        this.updatePreviewWidth();
+    }
+
+    initCommands() {
+        const click = (id) => () => document.getElementById(id).click();
+        const hasSelection = () => this.state.topLevelSelection().some(id => id !== 'root-canvas' && !this.state.isLocked(id));
+
+        [
+            { id: 'edit.undo', group: 'Edit', label: 'Undo', shortcut: 'Mod+Z', run: () => this.undo() },
+            { id: 'edit.redo', group: 'Edit', label: 'Redo', shortcut: 'Mod+Y', run: () => this.redo() },
+            { id: 'edit.clear', group: 'Edit', label: 'Clear canvas', run: () => this.clearCanvas() },
+            { id: 'element.add', group: 'Element', label: 'Add element...', run: click('btn-add-element') },
+            { id: 'element.delete', group: 'Element', label: 'Delete selected', shortcut: 'Delete', enabled: hasSelection, run: () => this.deleteSelected() },
+            { id: 'element.duplicate', group: 'Element', label: 'Duplicate selected', shortcut: 'Mod+D', enabled: hasSelection, run: () => this.cloneSelected() },
+            { id: 'element.wrap', group: 'Element', label: 'Wrap selection in a div', shortcut: 'Mod+G', enabled: () => hasSelection() && Boolean(this.selectionParent()), run: () => this.wrapSelected('div') },
+            { id: 'element.move-up', group: 'Element', label: 'Move up', shortcut: 'Alt+ArrowUp', enabled: hasSelection, run: () => this.moveSelected('up') },
+            { id: 'element.move-down', group: 'Element', label: 'Move down', shortcut: 'Alt+ArrowDown', enabled: hasSelection, run: () => this.moveSelected('down') },
+            { id: 'element.indent', group: 'Element', label: 'Move into previous element', shortcut: 'Alt+ArrowRight', enabled: hasSelection, run: () => this.moveSelected('indent') },
+            { id: 'element.outdent', group: 'Element', label: 'Move out of parent', shortcut: 'Alt+ArrowLeft', enabled: hasSelection, run: () => this.moveSelected('outdent') },
+            { id: 'select.parent', group: 'Select', label: 'Select parent', shortcut: 'Alt+Shift+ArrowUp', enabled: hasSelection, run: () => this.selectRelative('parent') },
+            { id: 'select.first-child', group: 'Select', label: 'Select first child', shortcut: 'Alt+Shift+ArrowDown', enabled: hasSelection, run: () => this.selectRelative('firstChild') },
+            { id: 'select.next-sibling', group: 'Select', label: 'Select next sibling', shortcut: ']', enabled: hasSelection, run: () => this.selectRelative('next') },
+            { id: 'select.previous-sibling', group: 'Select', label: 'Select previous sibling', shortcut: '[', enabled: hasSelection, run: () => this.selectRelative('previous') },
+            { id: 'select.none', group: 'Select', label: 'Clear selection', shortcut: 'Escape', enabled: hasSelection, run: () => this.selectElement(null) },
+            { id: 'file.new', group: 'File', label: 'New project', run: () => this.newProject() },
+            { id: 'file.open', group: 'File', label: 'Open project...', shortcut: 'Mod+O', run: click('btn-open') },
+            { id: 'file.save', group: 'File', label: 'Save draft', shortcut: 'Mod+S', run: click('btn-save') },
+            { id: 'file.import', group: 'File', label: 'Import HTML...', run: click('btn-import') },
+            { id: 'file.export', group: 'File', label: 'Export...', shortcut: 'Mod+E', run: click('btn-export') },
+            { id: 'file.history', group: 'File', label: 'Version history...', run: click('btn-history') },
+            { id: 'page.settings', group: 'Page', label: 'Page settings...', run: click('btn-page-settings') },
+            { id: 'page.add', group: 'Page', label: 'Add page...', run: click('btn-add-page') },
+            { id: 'view.desktop', group: 'View', label: 'Desktop view', shortcut: 'Alt+1', run: click('view-desktop') },
+            { id: 'view.tablet', group: 'View', label: 'Tablet view', shortcut: 'Alt+2', run: click('view-tablet') },
+            { id: 'view.mobile', group: 'View', label: 'Mobile view', shortcut: 'Alt+3', run: click('view-mobile') },
+            { id: 'view.preview', group: 'View', label: 'Toggle preview', shortcut: 'Mod+Shift+P', run: () => this.togglePreview() },
+            { id: 'view.preview-tab', group: 'View', label: 'Open preview in a new tab', run: () => this.openPreviewTab() },
+            { id: 'view.chat', group: 'View', label: 'Toggle AI chat', shortcut: 'Mod+J', run: () => this.chatManager.toggleChat() },
+            { id: 'app.settings', group: 'Settings', label: 'Settings...', shortcut: 'Mod+,', run: click('btn-settings') },
+            { id: 'app.palette', group: 'Settings', label: 'Command palette', shortcut: 'Mod+K', run: () => this.palette.open() }
+        ].forEach(command => this.commands.register(command));
+
+        this.palette = new CommandPalette(this);
+        this.commands.updateTitles();
+        this.settings.loadSettings().then(settings => this.applyKeymap(settings.keymap));
+
+        window.addEventListener('keydown', (e) => {
+            if (this.isTyping(e) || document.querySelector('.modal:not(.hidden)')) return;
+            const shortcut = CommandRegistry.fromEvent(e);
+            const command = shortcut && this.commands.findByShortcut(shortcut);
+            if (!command) return;
+            // Keys without Ctrl/Cmd or Alt keep their usual meaning on a focused button or link
+            const target = e.target;
+            if (!/^(Mod|Alt)\+/.test(shortcut) && target instanceof Element && target.closest('button, a[href], [tabindex]')) return;
+            // Disabled commands leave the key to the browser
+            if (!this.commands.isEnabled(command)) return;
+            e.preventDefault();
+            this.commands.run(command.id);
+        });
+    }
+
+    applyKeymap(keymap) {
+        this.commands.setKeymap(keymap);
+        this.canvas.sendConfig();
+    }
+
+    async initSettings() {
+        const modal = document.getElementById('settings-modal');
+        const btnSettings = document.getElementById('btn-settings');
+        const closeModal = document.querySelector('.close-settings-modal');
+        const btnSave = document.getElementById('btn-save-settings');
+        const btnCancel = document.getElementById('btn-cancel-settings');
+
+        const apiKeyInput = document.getElementById('settings-api-key');
+        const modelSelect = document.getElementById('settings-model');
+        const maxTokensInput = document.getElementById('settings-max-tokens');
+        const temperatureInput = document.getElementById('settings-temperature');
+        const systemPromptTextarea = document.getElementById('settings-system-prompt');
+        const statusDiv = document.getElementById('settings-status');
+        const charCountSpan = document.getElementById('settings-prompt-count');
+        const togglePassword = document.querySelector('.toggle-password');
+
+        const errorMaxTokens = document.getElementById('error-max-tokens');
+        const errorTemperature = document.getElementById('error-temperature');
+        const keymapList = document.getElementById('settings-keymap');
+        const errorKeymap = document.getElementById('error-keymap');
+
+        togglePassword.addEventListener('click', () => {
+            const type = apiKeyInput.type === 'password' ? 'text' : 'password';
+            apiKeyInput.type = type;
+            togglePassword.textContent = type === 'password' ? 'Show' : 'Hide';
+        });
+
+        const validateForm = () => {
+            const maxTokens = parseInt(maxTokensInput.value);
+            const temperature = parseFloat(temperatureInput.value);
+            const systemPrompt = systemPromptTextarea.value;
+
+            let isValid = true;
+
+            if (!this.settings.allowedModels.includes(modelSelect.value)) {
+                modelSelect.classList.add('invalid');
+                isValid = false;
+            } else {
+                modelSelect.classList.remove('invalid');
+            }
+
+            if (isNaN(maxTokens) || maxTokens < 100 || maxTokens > 4000) {
+                maxTokensInput.classList.add('invalid');
+                errorMaxTokens.textContent = 'Must be between 100 and 4000';
+                isValid = false;
+            } else {
+                maxTokensInput.classList.remove('invalid');
+                errorMaxTokens.textContent = '';
+            }
+
+            if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+                temperatureInput.classList.add('invalid');
+                errorTemperature.textContent = 'Must be between 0 and 2';
+                isValid = false;
+            } else {
+                temperatureInput.classList.remove('invalid');
+                errorTemperature.textContent = '';
+            }
+
+            if (systemPrompt.length > 5000) {
+                systemPromptTextarea.classList.add('invalid');
+                isValid = false;
+            } else {
+                systemPromptTextarea.classList.remove('invalid');
+            }
+
+            // A shortcut may only be bound to one command
+            const keyInputs = Array.from(keymapList.querySelectorAll('.keymap-input'));
+            const conflicts = keyInputs
+                .map(input => input.dataset.shortcut)
+                .filter((shortcut, index, all) => shortcut && all.indexOf(shortcut) !== index);
+            keyInputs.forEach(input => input.classList.toggle('invalid', conflicts.includes(input.dataset.shortcut)));
+            if (conflicts.length > 0) {
+                errorKeymap.textContent = `${CommandRegistry.format(conflicts[0])} is assigned to more than one command`;
+                isValid = false;
+            } else {
+                errorKeymap.textContent = '';
+            }
+
+            btnSave.disabled = !isValid;
+            return isValid;
+        };
+
+        const updatePromptCount = () => {
+            const length = systemPromptTextarea.value.length;
+            charCountSpan.textContent = `${length} / 5000`;
+        };
+
+        const onAnyChange = () => {
+            statusDiv.classList.add('hidden');
+            statusDiv.classList.remove('success', 'error');
+            statusDiv.textContent = '';
+            updatePromptCount();
+            validateForm();
+        };
+
+        const setShortcut = (input, shortcut) => {
+            input.dataset.shortcut = shortcut;
+            input.value = CommandRegistry.format(shortcut);
+        };
+
+        const renderKeymap = (keymap) => {
+            this.applyKeymap(keymap);
+
+            keymapList.innerHTML = '';
+            this.commands.list().forEach(command => {
+                const row = document.createElement('div');
+                row.className = 'keymap-row';
+
+                const label = document.createElement('span');
+                label.className = 'keymap-label';
+                label.textContent = `${command.group}: ${command.label}`;
+
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.readOnly = true;
+                input.className = 'keymap-input';
+                input.dataset.command = command.id;
+                input.placeholder = 'None';
+                setShortcut(input, this.commands.shortcutFor(command.id));
+
+                // Record the pressed combination; Backspace clears, Tab keeps moving the focus
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+                    e.preventDefault();
+                    if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+                        setShortcut(input, '');
+                    } else {
+                        const shortcut = CommandRegistry.fromEvent(e);
+                        if (!shortcut) return;
+                        setShortcut(input, shortcut);
+                    }
+                    onAnyChange();
+                });
+
+                const reset = document.createElement('button');
+                reset.type = 'button';
+                reset.className = 'keymap-reset';
+                reset.textContent = 'Reset';
+                reset.title = command.shortcut ? `Reset to ${CommandRegistry.format(command.shortcut)}` : 'Reset to no shortcut';
+                reset.addEventListener('click', () => {
+                    setShortcut(input, command.shortcut || '');
+                    onAnyChange();
+                });
+
+                row.append(label, input, reset);
+                keymapList.appendChild(row);
+            });
+        };
+
+        // Only shortcuts that differ from the defaults are stored
+        const collectKeymap = () => {
+            const keymap = {};
+            keymapList.querySelectorAll('.keymap-input').forEach(input => {
+                const command = this.commands.get(input.dataset.command);
+                if (command && input.dataset.shortcut !== (command.shortcut || '')) {
+                    keymap[command.id] = input.dataset.shortcut;
+                }
+            });
+            return keymap;
+        };
+
+        systemPromptTextarea.addEventListener('input', onAnyChange);
+        maxTokensInput.addEventListener('input', onAnyChange);
+        temperatureInput.addEventListener('input', onAnyChange);
+        modelSelect.addEventListener('change', onAnyChange);
+
+        btnSettings.addEventListener('click', async () => {
+            statusDiv.classList.add('hidden');
+            statusDiv.classList.remove('success', 'error');
+            statusDiv.textContent = '';
+
+            const storedApiKey = this.settings.getApiKeyFromStorage();
+            apiKeyInput.value = storedApiKey;
+            apiKeyInput.type = 'password';
+            togglePassword.textContent = 'Show';
+
+            try {
+                const settings = await this.settings.loadSettings();
+                modelSelect.value = settings.model || 'gpt-4o-mini';
+                maxTokensInput.value = settings.maxTokens || 2000;
+                temperatureInput.value = settings.temperature || 0.7;
+                systemPromptTextarea.value = settings.systemPrompt || '';
+                renderKeymap(settings.keymap);
+                updatePromptCount();
+                validateForm();
+            } catch (error) {
+                console.error('Error loading settings:', error);
+            }
+
+            modal.classList.remove('hidden');
+        });
+
+        const closeModalHandler = () => {
+            modal.classList.add('hidden');
+        };
+
+        closeModal.addEventListener('click', closeModalHandler);
+        btnCancel.addEventListener('click', closeModalHandler);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModalHandler();
+            }
+        });
+
+        btnSave.addEventListener('click', async () => {
+            statusDiv.classList.add('hidden');
+            statusDiv.classList.remove('success', 'error');
+            statusDiv.textContent = '';
+
+            const apiKey = apiKeyInput.value.trim();
+            const model = modelSelect.value;
+            const maxTokens = parseInt(maxTokensInput.value);
+            const temperature = parseFloat(temperatureInput.value);
+            const systemPrompt = systemPromptTextarea.value;
+            const keymap = collectKeymap();
+
+            if (!validateForm()) {
+                statusDiv.textContent = 'Please fix validation errors';
+                statusDiv.classList.remove('hidden', 'success');
+                statusDiv.classList.add('error');
+                return;
+            }
+
+            btnSave.disabled = true;
+            btnSave.textContent = 'Saving...';
+
+            try {
+                const saved = await this.settings.saveSettings({
+                    model,
+                    maxTokens,
+                    temperature,
+                    systemPrompt,
+                    keymap
+                });
+
+                this.settings.setApiKeyInStorage(apiKey);
+                this.applyKeymap(saved.keymap || keymap);
+
+                statusDiv.textContent = 'Settings saved successfully!';
+                statusDiv.classList.remove('hidden', 'error');
+                statusDiv.classList.add('success');
+
+                setTimeout(() => {
+                    closeModalHandler();
+                }, 1000);
+            } catch (error) {
+                console.error('Error saving settings:', error);
+                statusDiv.textContent = `Error: ${error.message}`;
+                statusDiv.classList.remove('hidden', 'success');
+                statusDiv.classList.add('error');
+            } finally {
+                btnSave.disabled = false;
+                btnSave.textContent = 'Save Settings';
+            }
+        });
+    }
+
+    initExport() {
+        const modal = document.getElementById('export-modal');
+        const btnExport = document.getElementById('btn-export');
+        const closeModal = document.querySelector('.close-export-modal');
+        const btnConfirm = document.getElementById('btn-confirm-export');
+        const btnCancel = document.getElementById('btn-cancel-export');
+        const filenameInput = document.getElementById('export-filename');
+        const typeSelect = document.getElementById('export-type');
+        const siteUrlGroup = document.getElementById('export-site-url-group');
+        const siteUrlInput = document.getElementById('export-site-url');
+        const bundleGroup = document.getElementById('export-bundle-group');
+        const includeScriptInput = document.getElementById('export-include-script');
+        const statusDiv = document.getElementById('export-status');
+        const formatSelect = document.getElementById('export-format');
+        const indentGroup = document.getElementById('export-indent-group');
+        const indentSelect = document.getElementById('export-indent');
+        const formatGroup = document.getElementById('export-format-group');
+        const reactGroup = document.getElementById('export-react-group');
+        const reactStylesSelect = document.getElementById('export-react-styles');
+        const classesGroup = document.getElementById('export-classes-group');
+        const sharedClassesInput = document.getElementById('export-shared-classes');
+        const classList = document.getElementById('export-class-list');
+        const embedGroup = document.getElementById('export-embed-group');
+        const embedAssetsInput = document.getElementById('export-embed-assets');
+        const embedMediaInput = document.getElementById('export-embed-media');
+        const mediaLimitInput = document.getElementById('export-media-limit');
+        const sizeLimitInput = document.getElementById('export-size-limit');
+        let sharedClasses = [];
+
+        const isComponent = (type) => type === 'react' || type === 'vue';
+
+        const extensionFor = (type) => {
+            if (type === 'page') return '.html';
+            if (type === 'vue') return '.vue';
+            if (type === 'react') return reactStylesSelect.value === 'module' ? '.zip' : '.jsx';
+            return '.zip';
+        };
+
+        const defaultFilename = (type) => {
+            if (type === 'site') return `${EditorState.slugify(this.state.project.name)}.zip`;
+            if (isComponent(type)) {
+                const pageName = this.state.activePage.name;
+                const base = /page$/i.test(pageName) ? pageName : `${pageName} page`;
+                return ComponentExporter.componentName(base) + extensionFor(type);
+            }
+            return `${this.state.activePage.slug}${extensionFor(type)}`;
+        };
+
+        const updateFormatFields = () => {
+            const component = isComponent(typeSelect.value);
+            formatGroup.classList.toggle('hidden', component);
+            indentGroup.classList.toggle('hidden', !component && formatSelect.value === 'minified');
+        };
+
+        const exportTrees = () => typeSelect.value === 'site'
+            ? this.state.pages.map(page => page.domTree)
+            : [this.state.domTree];
+
+        const renderSharedClasses = () => {
+            classList.innerHTML = '';
+            sharedClasses = [];
+            if (!sharedClassesInput.checked || isComponent(typeSelect.value)) {
+                classList.classList.add('hidden');
+                return;
+            }
+
+            sharedClasses = this.exportManager.detectSharedClasses(exportTrees(), this.state.project.exportClassNames || {});
+            classList.classList.remove('hidden');
+
+            if (sharedClasses.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'help-text';
+                empty.textContent = 'No repeated style sets found.';
+                classList.appendChild(empty);
+                return;
+            }
+
+            sharedClasses.forEach(cls => {
+                const item = document.createElement('div');
+                item.className = 'draft-item';
+                item.title = cls.declarations.map(([property, value]) => `${property}: ${value};`).join('\n');
+
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.value = cls.name;
+                nameInput.addEventListener('input', () => {
+                    cls.name = nameInput.value.trim();
+                });
+
+                const info = document.createElement('small');
+                info.className = 'help-text';
+                info.textContent = `${cls.elementIds.length} elements, ${cls.declarations.length} declarations`;
+
+                item.appendChild(nameInput);
+                item.appendChild(info);
+                classList.appendChild(item);
+            });
+        };
+
+        // Shared class names must be valid, distinct, and not clash with classes already in the design
+        const validateSharedClasses = () => {
+            const taken = new Set();
+            const collectClasses = (node) => {
+                (node.classes || []).forEach(name => taken.add(name));
+                (node.children || []).forEach(collectClasses);
+            };
+            exportTrees().forEach(collectClasses);
+
+            for (const cls of sharedClasses) {
+                const error = this.exportManager.validateClassName(cls.name, taken);
+                if (error) return error;
+                taken.add(cls.name);
+            }
+            return null;
+        };
+
+        const updateTypeFields = () => {
+            siteUrlGroup.classList.toggle('hidden', typeSelect.value !== 'site');
+            bundleGroup.classList.toggle('hidden', typeSelect.value !== 'bundle');
+            reactGroup.classList.toggle('hidden', typeSelect.value !== 'react');
+            classesGroup.classList.toggle('hidden', isComponent(typeSelect.value));
+            embedGroup.classList.toggle('hidden', typeSelect.value !== 'page' && typeSelect.value !== 'site');
+            filenameInput.value = defaultFilename(typeSelect.value);
+            updateFormatFields();
+            renderSharedClasses();
+        };
+
+        typeSelect.addEventListener('change', updateTypeFields);
+        sharedClassesInput.addEventListener('change', renderSharedClasses);
+        formatSelect.addEventListener('change', updateFormatFields);
+        reactStylesSelect.addEventListener('change', () => {
+            filenameInput.value = defaultFilename(typeSelect.value);
+        });
+
+        btnExport.addEventListener('click', () => {
+            const exportFormat = this.state.project.exportFormat || {};
+            typeSelect.value = this.state.pages.length > 1 ? 'site' : 'page';
+            siteUrlInput.value = this.state.project.siteUrl || '';
+            formatSelect.value = exportFormat.minify ? 'minified' : 'pretty';
+            indentSelect.value = exportFormat.indent || '4';
+            sharedClassesInput.checked = exportFormat.sharedClasses === true;
+            embedAssetsInput.checked = exportFormat.embedAssets === true;
+            embedMediaInput.checked = exportFormat.embedMedia === true;
+            mediaLimitInput.value = exportFormat.mediaLimitMB || 2;
+            sizeLimitInput.value = exportFormat.sizeLimitMB ?? 10;
+            statusDiv.classList.add('hidden');
+            updateTypeFields();
+            modal.classList.remove('hidden');
+        });
+
+        const closeModalHandler = () => {
+            modal.classList.add('hidden');
+        };
+
+        closeModal.addEventListener('click', closeModalHandler);
+        btnCancel.addEventListener('click', closeModalHandler);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModalHandler();
+            }
+        });
+
+        btnConfirm.addEventListener('click', async () => {
+            const type = typeSelect.value;
+            let filename = filenameInput.value.trim();
+            if (!filename) {
+                filename = defaultFilename(type);
+            }
+            if (!filename.endsWith(extensionFor(type))) {
+                filename += extensionFor(type);
+            }
+
+            const classError = validateSharedClasses();
+            if (classError) {
+                statusDiv.textContent = classError;
+                statusDiv.classList.remove('hidden', 'success');
+                statusDiv.classList.add('error');
+                return;
+            }
+
+            btnConfirm.disabled = true;
+            statusDiv.classList.add('hidden');
+            this.state.project.exportFormat = {
+                minify: formatSelect.value === 'minified',
+                indent: indentSelect.value,
+                sharedClasses: sharedClassesInput.checked,
+                embedAssets: embedAssetsInput.checked,
+                embedMedia: embedMediaInput.checked,
+                mediaLimitMB: Number(mediaLimitInput.value) || 2,
+                sizeLimitMB: Number(sizeLimitInput.value) || 0
+            };
+            this.state.project.exportClassNames = { ...(this.state.project.exportClassNames || {}) };
+            sharedClasses.forEach(cls => {
+                this.state.project.exportClassNames[cls.key] = cls.name;
+            });
+            const exportFormat = this.state.project.exportFormat;
+            const documentOptions = {
+                sharedClasses,
+                embed: exportFormat.embedAssets ? {
+                    includeMedia: exportFormat.embedMedia,
+                    maxMediaBytes: exportFormat.mediaLimitMB * 1048576
+                } : null
+            };
+
+            try {
+                let warnings = [];
+                let blob;
+
+                if (type === 'site') {
+                    this.state.project.siteUrl = siteUrlInput.value.trim();
+                    if (documentOptions.embed) btnConfirm.textContent = 'Embedding assets...';
+                    const site = await this.exportManager.generateSite(this.state.project.siteUrl, documentOptions);
+                    const zip = new ZipBuilder();
+                    site.files.forEach(file => zip.addFile(file.name, file.content));
+                    blob = zip.generate();
+                    warnings = site.warnings;
+                } else if (type === 'bundle') {
+                    btnConfirm.textContent = 'Collecting assets...';
+                    const bundle = await this.exportManager.generateBundle(this.state.domTree, {
+                        includeScript: includeScriptInput.checked,
+                        sharedClasses
+                    });
+                    const zip = new ZipBuilder();
+                    bundle.files.forEach(file => zip.addFile(file.name, file.content));
+                    blob = zip.generate();
+                    warnings = bundle.warnings;
+                } else if (isComponent(type)) {
+                    // The component is named after the file, so renaming the download renames the component
+                    const name = ComponentExporter.componentName(filename.slice(0, -extensionFor(type).length));
+                    const files = type === 'vue'
+                        ? this.componentExporter.generateVue(this.state.domTree, name)
+                        : this.componentExporter.generateReact(this.state.domTree, name, {
+                            cssModule: reactStylesSelect.value === 'module'
+                        });
+                    if (type === 'react' && reactStylesSelect.value !== 'module' && Breakpoints.hasResponsiveRules(this.state.domTree)) {
+                        warnings.push('Inline style objects cannot hold tablet and mobile styles; export with a CSS module to keep them.');
+                    }
+                    if (files.length === 1) {
+                        blob = new Blob([files[0].content], { type: 'text/plain' });
+                    } else {
+                        const zip = new ZipBuilder();
+                        files.forEach(file => zip.addFile(file.name, file.content));
+                        blob = zip.generate();
+                    }
+                } else {
+                    if (documentOptions.embed) btnConfirm.textContent = 'Embedding assets...';
+                    const page = await this.exportManager.generateStandaloneHTML(this.state.domTree, documentOptions);
+                    blob = new Blob([page.html], { type: 'text/html' });
+                    warnings = page.warnings;
+                }
+
+                const sizeLimit = exportFormat.sizeLimitMB * 1048576;
+                if (sizeLimit > 0 && blob.size > sizeLimit &&
+                    !confirm(`The export is ${this.exportManager.formatBytes(blob.size)}, over the ${exportFormat.sizeLimitMB} MB warning size. Download anyway?`)) {
+                    statusDiv.textContent = `Export cancelled: ${this.exportManager.formatBytes(blob.size)} is over the warning size.`;
+                    statusDiv.classList.remove('hidden', 'success');
+                    statusDiv.classList.add('error');
+                    return;
+                }
+
+                this.exportManager.downloadBlob(blob, filename);
+
+                if (warnings.length > 0) {
+                    statusDiv.textContent = `Exported with warnings:\n${warnings.join('\n')}`;
+                    statusDiv.classList.remove('hidden', 'success');
+                    statusDiv.classList.add('error');
+                } else {
+                    closeModalHandler();
                 }
+            } catch (error) {
+                console.error('Export failed:', error);
+                alert('Export failed: ' + error.message);
+            } finally {
+                btnConfirm.disabled = false;
+                btnConfirm.textContent = 'Download';
             }
-            return false;
-        };
-        findPath(this.editor.state.domTree, []);
-        return path.join(' > ');
+        });
     }
 
-    updateSelectedElement(saveState = false) {
-        const id = this.editor.state.selectedElementId;
-        if (!id) return;
+    initDrafts() {
+        const modal = document.getElementById('drafts-modal');
+        const btnOpen = document.getElementById('btn-open');
+        const btnSave = document.getElementById('btn-save');
+        const closeModal = document.querySelector('.close-drafts-modal');
+        const btnCancel = document.getElementById('btn-cancel-drafts');
+        const btnDownload = document.getElementById('btn-download-project');
+        const fileInput = document.getElementById('drafts-file-input');
+        const listEl = document.getElementById('drafts-list');
+        const recoveryListEl = document.getElementById('recovery-list');
+        const statusDiv = document.getElementById('drafts-status');
+
+        const showStatus = (message, type) => {
+            statusDiv.textContent = message;
+            statusDiv.classList.remove('hidden', 'success', 'error');
+            statusDiv.classList.add(type);
+        };
 
-        const element = this.editor.state.findElementById(id);
-        if (!element) return;
+        const renderList = (drafts) => {
+            listEl.innerHTML = '';
 
-        const updates = {
-            textContent: this.inputs.textContent.value,
-            styles: {
-                width: this.inputs.width.value,
-                height: this.inputs.height.value,
-                padding: this.inputs.padding.value,
-                margin: this.inputs.margin.value,
-                color: this.inputs.color.value,
-                background: this.inputs.background.value,
-                fontSize: this.inputs.fontSize.value,
-                textAlign: this.inputs.textAlign.value,
-                display: this.inputs.display.value,
-                border: this.inputs.border.value,
-                borderRadius: this.inputs.borderRadius.value
-            }
-        };
-
-        if (element.tag === 'img' || element.tag === 'video') {
-            updates.attributes = {
-                src: this.inputs.mediaSrc.value.trim()
-            };
-        }
+            if (drafts.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'help-text';
+                empty.textContent = 'No saved drafts yet.';
+                listEl.appendChild(empty);
+                return;
+            }
 
-        this.editor.updateElement(id, updates, saveState);
-    }
-}
+            drafts.forEach(draft => {
+                const item = document.createElement('div');
+                item.className = 'draft-item';
+
+                const info = document.createElement('div');
+                info.className = 'draft-info';
+                const name = document.createElement('strong');
+                name.textContent = draft.name;
+                const date = document.createElement('small');
+                date.className = 'help-text';
+                date.textContent = draft.updatedAt ? `Saved ${new Date(draft.updatedAt).toLocaleString()}` : '';
+                info.appendChild(name);
+                info.appendChild(date);
+
+                const btnLoad = document.createElement('button');
+                btnLoad.type = 'button';
+                btnLoad.className = 'btn-primary';
+                btnLoad.textContent = 'Open';
+                btnLoad.addEventListener('click', async () => {
+                    try {
+                        const project = await this.drafts.load(draft.id);
+                        if (this.loadProject(project)) {
+                            closeModalHandler();
+                        }
+                    } catch (error) {
+                        console.error('Failed to open draft:', error);
+                        showStatus(`Error: ${error.message}`, 'error');
+                    }
+                });
 
-class Canvas {
-    constructor(editor) {
-        this.editor = editor;
-        this.iframe = document.getElementById('preview-frame');
-        this.init();
-    }
+                const btnDelete = document.createElement('button');
+                btnDelete.type = 'button';
+                btnDelete.textContent = 'Delete';
+                btnDelete.addEventListener('click', async () => {
+                    if (!confirm(`Delete draft "${draft.name}"?`)) return;
+                    try {
+                        await this.drafts.remove(draft.id);
+                        if (this.state.project.id === draft.id) {
+                            this.state.project.id = null;
+                        }
+                        await refreshList();
+                    } catch (error) {
+                        console.error('Failed to delete draft:', error);
+                        showStatus(`Error: ${error.message}`, 'error');
+                    }
+                });
 
-    init() {
-        window.addEventListener('message', (e) => {
-            if (e.data.type === 'SELECT_ELEMENT') {
-                this.editor.selectElement(e.data.id);
-            } else if (e.data.type === 'ADD_ELEMENT') {
-                this.editor.addElement(e.data.tag, e.data.parentId, e.data.inputType);
-            }
-        });
-    }
+                item.appendChild(info);
+                item.appendChild(btnLoad);
+                item.appendChild(btnDelete);
+                listEl.appendChild(item);
+            });
+        };
 
-    render(state) {
-        const html = DOMRenderer.getFullHTML(state.domTree, state.selectedElementId);
-        const doc = this.iframe.contentDocument || this.iframe.contentWindow.document;
-        doc.open();
-        doc.write(html);
-        doc.close();
-    }
-}
+        const renderRecoveryList = () => {
+            recoveryListEl.innerHTML = '';
 
-class Editor {
-    constructor() {
-        this.state = new EditorState();
-        this.canvas = new Canvas(this);
-        this.library = new ElementLibrary(this);
-        this.propertiesPanel = new PropertiesPanel(this);
-        this.settings = new Settings();
-        this.exportManager = new ExportManager(this.state);
-        this.chatManager = new ChatManager(this);
-        this.init();
-    }
+            const points = this.autosave.getPoints();
+            if (points.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'help-text';
+                empty.textContent = 'No recovery points yet.';
+                recoveryListEl.appendChild(empty);
+                return;
+            }
 
-    init() {
-        this.canvas.render(this.state);
-        
-        this.initSettings();
-        this.initExport();
-        
-        // Toolbar events
-        document.getElementById('btn-undo').addEventListener('click', () => this.undo());
-        document.getElementById('btn-redo').addEventListener('click', () => this.redo());
-        document.getElementById('btn-clear').addEventListener('click', () => this.clearCanvas());
-        document.getElementById('btn-new').addEventListener('click', () => this.clearCanvas());
-        
-        // Modal
-        const modal = document.getElementById('element-modal');
-        const btnAdd = document.getElementById('btn-add-element');
-        const closeModal = document.querySelector('.close-modal');
-        
-        btnAdd.addEventListener('click', () => {
-            const modalLibrary = document.getElementById('modal-element-library');
-            modalLibrary.innerHTML = document.querySelector('.element-categories').innerHTML;
-            modal.classList.remove('hidden');
-            // Re-attach listeners to the cloned elements in modal
-            modalLibrary.querySelectorAll('.draggable-element').forEach(el => {
-                el.addEventListener('click', () => {
-                    this.addElement(el.dataset.tag, this.state.selectedElementId || 'root-canvas', el.dataset.type);
-                    modal.classList.add('hidden');
+            points.forEach(point => {
+                const item = document.createElement('div');
+                item.className = 'draft-item';
+
+                const info = document.createElement('div');
+                info.className = 'draft-info';
+                const name = document.createElement('strong');
+                name.textContent = (point.project && point.project.meta && point.project.meta.name) || 'Untitled project';
+                const date = document.createElement('small');
+                date.className = 'help-text';
+                date.textContent = `Autosaved ${new Date(point.updatedAt || point.savedAt).toLocaleString()}`;
+                info.appendChild(name);
+                info.appendChild(date);
+
+                const btnRestore = document.createElement('button');
+                btnRestore.type = 'button';
+                btnRestore.textContent = 'Restore';
+                btnRestore.addEventListener('click', () => {
+                    if (!confirm('Replace the current canvas with this recovery point?')) return;
+                    try {
+                        this.autosave.checkpoint();
+                        this.autosave.restore(point);
+                        closeModalHandler();
+                    } catch (error) {
+                        console.error('Failed to restore recovery point:', error);
+                        showStatus(`Error: ${error.message}`, 'error');
+                    }
                 });
+
+                item.appendChild(info);
+                item.appendChild(btnRestore);
+                recoveryListEl.appendChild(item);
             });
+        };
+
+        const refreshList = async () => {
+            listEl.textContent = 'Loading drafts...';
+            try {
+                renderList(await this.drafts.list());
+            } catch (error) {
+                console.error('Failed to list drafts:', error);
+                listEl.textContent = '';
+                showStatus(`Error: ${error.message}`, 'error');
+            }
+        };
+
+        const closeModalHandler = () => {
+            modal.classList.add('hidden');
+        };
+
+        btnOpen.addEventListener('click', () => {
+            statusDiv.classList.add('hidden');
+            fileInput.value = '';
+            modal.classList.remove('hidden');
+            renderRecoveryList();
+            refreshList();
         });
-        
-        closeModal.addEventListener('click', () => modal.classList.add('hidden'));
+
+        btnSave.addEventListener('click', () => this.saveDraft(btnSave));
+
+        closeModal.addEventListener('click', closeModalHandler);
+        btnCancel.addEventListener('click', closeModalHandler);
+
         window.addEventListener('click', (e) => {
-            if (e.target === modal) modal.classList.add('hidden');
+            if (e.target === modal) {
+                closeModalHandler();
+            }
         });
 
-        // Keyboard shortcuts
-        window.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'z') {
-                e.preventDefault();
-                this.undo();
-            } else if (e.ctrlKey && e.key === 'y') {
-                e.preventDefault();
-                this.redo();
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                if (this.loadProject(await file.text())) {
+                    closeModalHandler();
+                }
+            } catch (error) {
+                console.error('Failed to open project file:', error);
+                showStatus(`Error: ${error.message}`, 'error');
+            } finally {
+                fileInput.value = '';
             }
         });
 
-        // View options
-        const previewContainer = document.getElementById('preview-container');
-        document.getElementById('view-desktop').addEventListener('click', (e) => {
-            previewContainer.style.width = '100%';
-            this.setActiveView(e.target);
-        });
-        document.getElementById('view-tablet').addEventListener('click', (e) => {
-            previewContainer.style.width = '768px';
-            this.setActiveView(e.target);
-        });
-        document.getElementById('view-mobile').addEventListener('click', (e) => {
-            previewContainer.style.width = '375px';
-            this.setActiveView(e.target);
+        btnDownload.addEventListener('click', () => {
+            const project = ProjectFormat.serialize(this.state);
+            const filename = (project.meta.name || 'project').replace(/[^\w.-]+/g, '_') + '.vdproj';
+            this.exportManager.downloadFile(JSON.stringify(project, null, 2), filename, 'application/json');
         });
     }
 
-    async initSettings() {
-        const modal = document.getElementById('settings-modal');
-        const btnSettings = document.getElementById('btn-settings');
-        const closeModal = document.querySelector('.close-settings-modal');
-        const btnSave = document.getElementById('btn-save-settings');
-        const btnCancel = document.getElementById('btn-cancel-settings');
-
-        const apiKeyInput = document.getElementById('settings-api-key');
-        const modelSelect = document.getElementById('settings-model');
-        const maxTokensInput = document.getElementById('settings-max-tokens');
-        const temperatureInput = document.getElementById('settings-temperature');
-        const systemPromptTextarea = document.getElementById('settings-system-prompt');
-        const statusDiv = document.getElementById('settings-status');
-        const charCountSpan = document.getElementById('settings-prompt-count');
-        const togglePassword = document.querySelector('.toggle-password');
+    initPages() {
+        const pageSelect = document.getElementById('page-select');
+        const btnAdd = document.getElementById('btn-add-page');
+        const btnRename = document.getElementById('btn-rename-page');
+        const btnDelete = document.getElementById('btn-delete-page');
 
-        const errorMaxTokens = document.getElementById('error-max-tokens');
-        const errorTemperature = document.getElementById('error-temperature');
+        pageSelect.addEventListener('change', () => this.switchPage(pageSelect.value));
 
-        togglePassword.addEventListener('click', () => {
-            const type = apiKeyInput.type === 'password' ? 'text' : 'password';
-            apiKeyInput.type = type;
-            togglePassword.textContent = type === 'password' ? 'Show' : 'Hide';
+        btnAdd.addEventListener('click', () => {
+            const name = prompt('Page name', `Page ${this.state.pages.length + 1}`);
+            if (name === null || !name.trim()) return;
+            const page = this.state.addPage(name.trim());
+            this.switchPage(page.id);
         });
 
-        const validateForm = () => {
-            const maxTokens = parseInt(maxTokensInput.value);
-            const temperature = parseFloat(temperatureInput.value);
-            const systemPrompt = systemPromptTextarea.value;
-
-            let isValid = true;
+        btnRename.addEventListener('click', () => {
+            const page = this.state.activePage;
+            const name = prompt('Page name', page.name);
+            if (name === null || !name.trim()) return;
+            this.state.renamePage(page.id, name.trim());
+            this.refreshPages();
+            this.canvas.render(this.state);
+        });
 
-            if (!this.settings.allowedModels.includes(modelSelect.value)) {
-                modelSelect.classList.add('invalid');
-                isValid = false;
-            } else {
-                modelSelect.classList.remove('invalid');
+        btnDelete.addEventListener('click', () => {
+            const page = this.state.activePage;
+            if (this.state.pages.length === 1) {
+                alert('A project needs at least one page.');
+                return;
             }
+            if (!confirm(`Delete page "${page.name}"? Links to it will stop working.`)) return;
 
-            if (isNaN(maxTokens) || maxTokens < 100 || maxTokens > 4000) {
-                maxTokensInput.classList.add('invalid');
-                errorMaxTokens.textContent = 'Must be between 100 and 4000';
-                isValid = false;
-            } else {
-                maxTokensInput.classList.remove('invalid');
-                errorMaxTokens.textContent = '';
-            }
+            this.autosave.checkpoint();
+            this.state.deletePage(page.id);
+            this.refreshPages();
+            this.canvas.render(this.state);
+            this.propertiesPanel.updateUI(null);
+        });
 
-            if (isNaN(temperature) || temperature < 0 || temperature > 2) {
-                temperatureInput.classList.add('invalid');
-                errorTemperature.textContent = 'Must be between 0 and 2';
-                isValid = false;
-            } else {
-                temperatureInput.classList.remove('invalid');
-                errorTemperature.textContent = '';
-            }
+        this.refreshPages();
+    }
 
-            if (systemPrompt.length > 5000) {
-                systemPromptTextarea.classList.add('invalid');
-                isValid = false;
-            } else {
-                systemPromptTextarea.classList.remove('invalid');
-            }
+    initPageSettings() {
+        const modal = document.getElementById('page-settings-modal');
+        const btnOpen = document.getElementById('btn-page-settings');
+        const closeModal = document.querySelector('.close-page-settings-modal');
+        const btnSave = document.getElementById('btn-save-page-settings');
+        const btnCancel = document.getElementById('btn-cancel-page-settings');
+        const pageHeading = document.getElementById('page-settings-page-heading');
+        const statusDiv = document.getElementById('page-settings-status');
+        const faviconInput = document.getElementById('site-favicon');
+        const faviconFile = document.getElementById('site-favicon-file');
+        const faviconPreview = document.getElementById('site-favicon-preview');
+        const btnClearFavicon = document.getElementById('btn-clear-favicon');
+        const tabletWidthInput = document.getElementById('site-breakpoint-tablet');
+        const mobileWidthInput = document.getElementById('site-breakpoint-mobile');
+
+        // Form field id => settings key, for the active page and for the whole project
+        const pageFields = {
+            'page-title': 'title',
+            'page-description': 'description',
+            'page-canonical': 'canonicalUrl',
+            'page-og-title': 'ogTitle',
+            'page-og-description': 'ogDescription',
+            'page-og-image': 'ogImage',
+            'page-twitter-card': 'twitterCard'
+        };
+        const siteFields = {
+            'site-lang': 'lang',
+            'site-name': 'siteName',
+            'site-twitter': 'twitterSite',
+            'site-head-html': 'headHtml'
+        };
 
-            btnSave.disabled = !isValid;
-            return isValid;
+        // An inlined favicon is kept out of the text field; the preview shows it instead
+        let inlineFavicon = '';
+
+        const showStatus = (message, type) => {
+            statusDiv.textContent = message;
+            statusDiv.classList.remove('hidden', 'success', 'error');
+            statusDiv.classList.add(type);
         };
 
-        const updatePromptCount = () => {
-            const length = systemPromptTextarea.value.length;
-            charCountSpan.textContent = `${length} / 5000`;
+        const updateFaviconPreview = () => {
+            const src = inlineFavicon || faviconInput.value.trim();
+            faviconPreview.classList.toggle('hidden', !src);
+            if (src) faviconPreview.src = src;
+            faviconInput.disabled = Boolean(inlineFavicon);
+            faviconInput.placeholder = inlineFavicon ? 'Uploaded image (inlined)' : 'https://example.com/favicon.ico';
         };
 
-        const onAnyChange = () => {
-            statusDiv.classList.add('hidden');
-            statusDiv.classList.remove('success', 'error');
-            statusDiv.textContent = '';
-            updatePromptCount();
-            validateForm();
+        const closeModalHandler = () => {
+            modal.classList.add('hidden');
         };
 
-        systemPromptTextarea.addEventListener('input', onAnyChange);
-        maxTokensInput.addEventListener('input', onAnyChange);
-        temperatureInput.addEventListener('input', onAnyChange);
-        modelSelect.addEventListener('change', onAnyChange);
+        btnOpen.addEventListener('click', () => {
+            const page = this.state.activePage;
+            const site = this.state.project.pageSettings || {};
+            const settings = page.settings || {};
 
-        btnSettings.addEventListener('click', async () => {
+            pageHeading.textContent = `This page: ${page.name}`;
+            Object.entries(pageFields).forEach(([id, key]) => {
+                document.getElementById(id).value = settings[key] || '';
+            });
+            Object.entries(siteFields).forEach(([id, key]) => {
+                document.getElementById(id).value = site[key] || '';
+            });
+            inlineFavicon = (site.favicon || '').startsWith('data:') ? site.favicon : '';
+            faviconInput.value = inlineFavicon ? '' : (site.favicon || '');
+            const widths = Breakpoints.widths(this.state.project);
+            tabletWidthInput.value = widths.tablet;
+            mobileWidthInput.value = widths.mobile;
+            faviconFile.value = '';
+            updateFaviconPreview();
             statusDiv.classList.add('hidden');
-            statusDiv.classList.remove('success', 'error');
-            statusDiv.textContent = '';
+            modal.classList.remove('hidden');
+        });
 
-            const storedApiKey = this.settings.getApiKeyFromStorage();
-            apiKeyInput.value = storedApiKey;
-            apiKeyInput.type = 'password';
-            togglePassword.textContent = 'Show';
+        closeModal.addEventListener('click', closeModalHandler);
+        btnCancel.addEventListener('click', closeModalHandler);
 
-            try {
-                const settings = await this.settings.loadSettings();
-                modelSelect.value = settings.model || 'gpt-4o-mini';
-                maxTokensInput.value = settings.maxTokens || 2000;
-                temperatureInput.value = settings.temperature || 0.7;
-                systemPromptTextarea.value = settings.systemPrompt || '';
-                updatePromptCount();
-                validateForm();
-            } catch (error) {
-                console.error('Error loading settings:', error);
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModalHandler();
+            }
+        });
+
+        faviconInput.addEventListener('input', updateFaviconPreview);
+
+        faviconFile.addEventListener('change', () => {
+            const file = faviconFile.files[0];
+            if (!file) return;
+            if (!file.type.startsWith('image/')) {
+                showStatus('The favicon must be an image file.', 'error');
+                return;
+            }
+            if (file.size > 102400) {
+                showStatus('The favicon must be 100 KB or smaller.', 'error');
+                return;
             }
 
-            modal.classList.remove('hidden');
+            const reader = new FileReader();
+            reader.addEventListener('load', () => {
+                inlineFavicon = reader.result;
+                statusDiv.classList.add('hidden');
+                updateFaviconPreview();
+            });
+            reader.readAsDataURL(file);
+        });
+
+        btnClearFavicon.addEventListener('click', () => {
+            inlineFavicon = '';
+            faviconInput.value = '';
+            faviconFile.value = '';
+            updateFaviconPreview();
+        });
+
+        btnSave.addEventListener('click', () => {
+            const read = (fields) => {
+                const values = {};
+                Object.entries(fields).forEach(([id, key]) => {
+                    const value = document.getElementById(id).value.trim();
+                    if (value) values[key] = value;
+                });
+                return values;
+            };
+            const settings = read(pageFields);
+            const site = read(siteFields);
+
+            const favicon = inlineFavicon || faviconInput.value.trim();
+            if (favicon) site.favicon = favicon;
+            if (site.twitterSite && !site.twitterSite.startsWith('@')) {
+                site.twitterSite = `@${site.twitterSite}`;
+            }
+
+            const breakpoints = { tablet: Number(tabletWidthInput.value), mobile: Number(mobileWidthInput.value) };
+
+            const isAbsoluteUrl = (value) => /^https?:\/\/[^\s]+$/i.test(value);
+            let error = null;
+            if (settings.canonicalUrl && !isAbsoluteUrl(settings.canonicalUrl)) {
+                error = 'The canonical URL must be an absolute http(s) URL.';
+            } else if (settings.ogImage && !isAbsoluteUrl(settings.ogImage)) {
+                error = 'The social image must be an absolute http(s) URL, as required by Open Graph.';
+            } else if (site.lang && !/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(site.lang)) {
+                error = 'The language must be a language tag such as "en" or "pt-BR".';
+            } else if (site.twitterSite && !/^@\w{1,15}$/.test(site.twitterSite)) {
+                error = 'The Twitter account must look like @account.';
+            } else {
+                error = Breakpoints.validate(breakpoints);
+            }
+            if (error) {
+                showStatus(error, 'error');
+                return;
+            }
+
+            this.state.activePage.settings = settings;
+            this.state.project.pageSettings = site;
+            this.state.project.breakpoints = breakpoints;
+            this.updatePreviewWidth();
+            this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+            this.autosave.schedule();
+            closeModalHandler();
+        });
+    }
+
+    refreshPages() {
+        const pageSelect = document.getElementById('page-select');
+        pageSelect.innerHTML = '';
+        this.state.pages.forEach(page => {
+            const option = document.createElement('option');
+            option.value = page.id;
+            option.textContent = `${page.name} (${page.slug}.html)`;
+            pageSelect.appendChild(option);
         });
+        pageSelect.value = this.state.activePageId;
+        document.getElementById('btn-delete-page').disabled = this.state.pages.length === 1;
+    }
+
+    switchPage(id) {
+        if (this.state.switchPage(id)) {
+            this.previewPageId = id;
+            this.canvas.render(this.state);
+            this.propertiesPanel.updateUI(null);
+        }
+        this.refreshPages();
+    }
+
+    initImport() {
+        const modal = document.getElementById('import-modal');
+        const btnImport = document.getElementById('btn-import');
+        const closeModal = document.querySelector('.close-import-modal');
+        const btnConfirm = document.getElementById('btn-confirm-import');
+        const btnCancel = document.getElementById('btn-cancel-import');
+        const htmlInput = document.getElementById('import-html');
+        const fileInput = document.getElementById('import-file');
+        const modeSelect = document.getElementById('import-mode');
+        const summaryDiv = document.getElementById('import-summary');
 
         const closeModalHandler = () => {
             modal.classList.add('hidden');
         };
 
+        btnImport.addEventListener('click', () => {
+            htmlInput.value = '';
+            fileInput.value = '';
+            summaryDiv.classList.add('hidden');
+            summaryDiv.innerHTML = '';
+            modal.classList.remove('hidden');
+        });
+
         closeModal.addEventListener('click', closeModalHandler);
         btnCancel.addEventListener('click', closeModalHandler);
 
@@ -1573,121 +7038,229 @@ class Editor {
             }
         });
 
-        btnSave.addEventListener('click', async () => {
-            statusDiv.classList.add('hidden');
-            statusDiv.classList.remove('success', 'error');
-            statusDiv.textContent = '';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (file) {
+                htmlInput.value = await file.text();
+            }
+        });
 
-            const apiKey = apiKeyInput.value.trim();
-            const model = modelSelect.value;
-            const maxTokens = parseInt(maxTokensInput.value);
-            const temperature = parseFloat(temperatureInput.value);
-            const systemPrompt = systemPromptTextarea.value;
+        btnConfirm.addEventListener('click', () => {
+            const html = htmlInput.value.trim();
+            if (!html) return;
 
-            if (!validateForm()) {
-                statusDiv.textContent = 'Please fix validation errors';
-                statusDiv.classList.remove('hidden', 'success');
-                statusDiv.classList.add('error');
+            if (modeSelect.value === 'replace' && this.state.domTree.children.length > 0 &&
+                !confirm('Replace the current canvas with the imported HTML?')) {
                 return;
             }
 
-            btnSave.disabled = true;
-            btnSave.textContent = 'Saving...';
-
             try {
-                await this.settings.saveSettings({
-                    model,
-                    maxTokens,
-                    temperature,
-                    systemPrompt
-                });
-
-                this.settings.setApiKeyInStorage(apiKey);
-
-                statusDiv.textContent = 'Settings saved successfully!';
-                statusDiv.classList.remove('hidden', 'error');
-                statusDiv.classList.add('success');
+                const summary = this.importHTML(html, modeSelect.value);
+
+                summaryDiv.innerHTML = '';
+                const heading = document.createElement('p');
+                heading.textContent = `Imported ${summary.elements} element${summary.elements === 1 ? '' : 's'}.` +
+                    (summary.issues.length ? ' Some content could not be represented:' : '');
+                summaryDiv.appendChild(heading);
+
+                if (summary.issues.length) {
+                    const list = document.createElement('ul');
+                    summary.issues.forEach(issue => {
+                        const li = document.createElement('li');
+                        li.textContent = issue;
+                        list.appendChild(li);
+                    });
+                    summaryDiv.appendChild(list);
+                }
 
-                setTimeout(() => {
-                    closeModalHandler();
-                }, 1000);
+                summaryDiv.classList.remove('hidden', 'error');
+                summaryDiv.classList.add('success');
             } catch (error) {
-                console.error('Error saving settings:', error);
-                statusDiv.textContent = `Error: ${error.message}`;
-                statusDiv.classList.remove('hidden', 'success');
-                statusDiv.classList.add('error');
-            } finally {
-                btnSave.disabled = false;
-                btnSave.textContent = 'Save Settings';
+                console.error('Import failed:', error);
+                summaryDiv.textContent = `Error: ${error.message}`;
+                summaryDiv.classList.remove('hidden', 'success');
+                summaryDiv.classList.add('error');
             }
         });
     }
 
-    initExport() {
-        const modal = document.getElementById('export-modal');
-        const btnExport = document.getElementById('btn-export');
-        const closeModal = document.querySelector('.close-export-modal');
-        const btnConfirm = document.getElementById('btn-confirm-export');
-        const btnCancel = document.getElementById('btn-cancel-export');
-        const filenameInput = document.getElementById('export-filename');
+    importHTML(html, mode = 'replace') {
+        const replace = mode === 'replace';
+        const importer = new HtmlImporter(replace ? ['root-canvas'] : this.state.collectIds());
+        const result = importer.importHTML(html);
 
-        btnExport.addEventListener('click', () => {
-            filenameInput.value = 'project.html';
-            modal.classList.remove('hidden');
+        let parent = this.state.domTree;
+        if (!replace) {
+            const selected = this.state.findElementById(this.state.selectedElementId);
+            if (selected && !['img', 'br', 'hr', 'input'].includes(selected.tag)) {
+                parent = selected;
+            }
+        }
+
+        if (replace) this.autosave.checkpoint();
+
+        this.state.transact('Import HTML', () => {
+            if (replace) {
+                // Locked layers survive a replacing import
+                this.state.domTree.children
+                    .filter(child => !this.state.isLocked(child.id))
+                    .forEach(child => this.state.removeNode(child.id));
+                this.state.setStyles('root-canvas', result.bodyStyles);
+                this.state.selectedElementId = null;
+            } else if (Object.keys(result.bodyStyles).length > 0) {
+                result.summary.issues.push('Styles on <body> were ignored when inserting');
+            }
+            const offset = parent.children ? parent.children.length : 0;
+            result.nodes.forEach((node, i) => this.state.insertNode(parent.id, offset + i, node));
         });
 
-        const closeModalHandler = () => {
-            modal.classList.add('hidden');
-        };
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+        return result.summary;
+    }
 
-        closeModal.addEventListener('click', closeModalHandler);
-        btnCancel.addEventListener('click', closeModalHandler);
+    async saveDraft(btnSave) {
+        if (!this.state.project.id) {
+            const name = prompt('Draft name', this.state.project.name);
+            if (name === null) return;
+            this.state.project.name = name.trim() || 'Untitled project';
+        }
 
-        window.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                closeModalHandler();
-            }
-        });
+        btnSave.disabled = true;
+        btnSave.textContent = 'Saving...';
 
-        btnConfirm.addEventListener('click', () => {
-            let filename = filenameInput.value.trim();
-            if (!filename) {
-                filename = 'project.html';
-            }
-            if (!filename.endsWith('.html')) {
-                filename += '.html';
-            }
+        try {
+            this.state.project = await this.drafts.save(ProjectFormat.serialize(this.state));
+            btnSave.textContent = 'Saved';
+        } catch (error) {
+            console.error('Failed to save draft:', error);
+            alert('Save failed: ' + error.message);
+            btnSave.textContent = 'Save Draft';
+        } finally {
+            btnSave.disabled = false;
+            setTimeout(() => {
+                btnSave.textContent = 'Save Draft';
+            }, 1500);
+        }
+    }
 
-            try {
-                const html = this.exportManager.generateHTML();
-                this.exportManager.downloadFile(html, filename);
-                closeModalHandler();
-            } catch (error) {
-                console.error('Export failed:', error);
-                alert('Export failed: ' + error.message);
-            }
-        });
+    loadProject(project) {
+        const parsed = ProjectFormat.parse(project);
+
+        if (this.state.hasContent() && !confirm('Replace the current project with this one?')) {
+            return false;
+        }
+
+        this.autosave.checkpoint();
+        this.state.loadProject(parsed.meta, parsed.pages, parsed.activePageId);
+        this.refreshPages();
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(null);
+        return true;
+    }
+
+    newProject() {
+        if (confirm('Start a new project? The current project is kept as a recovery point.')) {
+            this.autosave.checkpoint();
+            this.state.loadProject(ProjectFormat.createMeta(), [EditorState.createPage('Home', 'index')]);
+            this.refreshPages();
+            this.canvas.render(this.state);
+            this.propertiesPanel.updateUI(null);
+        }
+    }
+
+    /**
+     * Preview mode shows the page as exported in the canvas: its scripts run, and links, forms and media
+     * controls work. Leaving it rebuilds the editing document with the selection it had.
+     */
+    togglePreview() {
+        if (this.canvas.previewing) {
+            this.state.selectedIds = this.previewSelection;
+            this.state.pruneSelection();
+            this.canvas.exitPreview(this.state);
+            this.layersPanel.render();
+            this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+        } else {
+            this.state.endSession();
+            this.previewSelection = [...this.state.selectedIds];
+            this.previewPageId = this.state.activePageId;
+            this.canvas.showPreview(this.exportManager.generatePreviewHTML(this.state.activePage, this.previewShortcuts()));
+        }
+        document.getElementById('btn-preview').classList.toggle('active', this.canvas.previewing);
+        document.getElementById('preview-container').classList.toggle('previewing', this.canvas.previewing);
+    }
+
+    // Shows another page of the project in preview mode (a link was followed), or reloads the current one
+    previewPage(slug = null) {
+        const page = slug === null
+            ? this.state.findPage(this.previewPageId)
+            : this.state.pages.find(p => p.slug === slug);
+        if (!page || !this.canvas.previewing) return;
+        this.previewPageId = page.id;
+        this.canvas.showPreview(this.exportManager.generatePreviewHTML(page, this.previewShortcuts()));
+    }
+
+    // Shortcuts with Ctrl/Cmd or Alt reach the editor from a previewed page; other keys belong to the page
+    previewShortcuts() {
+        return this.commands.boundShortcuts().filter(shortcut => /^(Mod|Alt)\+/.test(shortcut));
+    }
+
+    // The preview in a tab of its own; its pages stay sandboxed in a frame, away from the editor's storage
+    openPreviewTab() {
+        const page = (this.canvas.previewing && this.state.findPage(this.previewPageId)) || this.state.activePage;
+        const blob = new Blob([this.exportManager.generatePreviewWindow(page)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        if (!window.open(url, '_blank')) {
+            alert('The preview tab was blocked. Allow pop-ups for this site to open it.');
+        }
+        // The tab has loaded the document by then
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    setBreakpoint(name) {
+        if (!Breakpoints.names.includes(name)) return;
+        this.state.endSession();
+        this.state.activeBreakpoint = name;
+        document.querySelectorAll('.view-options button').forEach(b => b.classList.toggle('active', b.id === `view-${name}`));
+        this.updatePreviewWidth();
+        this.canvas.render(this.state, { quiet: true });
+        this.layersPanel.render();
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
     }
 
-    setActiveView(btn) {
-        document.querySelectorAll('.view-options button').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+    // The canvas is as wide as the active breakpoint, so the page looks the way it does at that width
+    updatePreviewWidth() {
+        const name = this.state.activeBreakpoint;
+        const widths = Breakpoints.widths(this.state.project);
+        document.getElementById('preview-container').style.width = name === 'desktop' ? '100%' : `${widths[name]}px`;
+        document.querySelectorAll('.view-options button').forEach(b => {
+            const view = b.id.replace('view-', '');
+            b.title = view === 'desktop' ? 'Desktop: base styles' : `${Breakpoints.label(view)}: up to ${widths[view]}px`;
+        });
     }
 
-    selectElement(id) {
-        this.state.selectedElementId = id;
+    // additive (shift/ctrl/cmd-click) toggles id in a multiple selection
+    selectElement(id, additive = false) {
+        if (id && this.state.isLocked(id)) return;
+        this.state.endSession();
+        if (additive && id && id !== 'root-canvas') {
+            const selectedIds = this.state.selectedIds.filter(selected => selected !== 'root-canvas');
+            this.state.selectedIds = selectedIds.includes(id)
+                ? selectedIds.filter(selected => selected !== id)
+                : [...selectedIds, id];
+        } else {
+            this.state.selectedElementId = id;
+        }
         this.canvas.render(this.state);
-        const element = this.state.findElementById(id);
+        const element = this.state.findElementById(this.state.selectedElementId);
         this.propertiesPanel.updateUI(element);
     }
 
     addElement(tag, parentId = 'root-canvas', inputType = null) {
         const parent = this.state.findElementById(parentId);
-        if (!parent) return;
+        if (!parent || this.state.isLocked(parentId)) return;
 
-        this.state.saveState();
-        
-        const newId = 'el-' + Math.random().toString(36).substr(2, 9);
+        const newId = EditorState.generateId();
         const newElement = {
             tag: tag,
             id: newId,
@@ -1718,72 +7291,362 @@ class Editor {
         }
 
         if (tag === 'img') {
-            newElement.attributes.src = 'https://via.placeholder.com/150';
+            newElement.attributes.src = DOMRenderer.createPlaceholder('Image', 150, 150);
             newElement.styles.width = '150px';
         }
 
-        if (!parent.children) parent.children = [];
-        parent.children.push(newElement);
+        this.state.insertNode(parentId, parent.children ? parent.children.length : 0, newElement);
         
         this.state.selectedElementId = newId;
         this.canvas.render(this.state);
         this.propertiesPanel.updateUI(newElement);
     }
 
-    updateElement(id, updates, saveState = true) {
-        // Deeply update styles/attributes to avoid losing existing ones not in the updates
+    // Merge updates into the element as one undo step; options: { label, sessionKey }
+    updateElement(id, updates, options = {}) {
         const element = this.state.findElementById(id);
         if (element) {
-            if (saveState) this.state.saveState();
-            
-            if (updates.textContent !== undefined) element.textContent = updates.textContent;
+            this.updateElements([id], updates, { ...options, label: options.label || `Edit ${element.tag}` });
+        }
+    }
 
-            if (updates.styles) {
-                Object.entries(updates.styles).forEach(([k, v]) => {
-                    if (v === '' || v === null) {
-                        delete element.styles[k];
-                    } else {
-                        element.styles[k] = v;
-                    }
-                });
+    // Same as updateElement for several elements at once; updates may be a function of each element
+    updateElements(ids, updates, options = {}) {
+        // Deeply update styles/attributes to avoid losing existing ones not in the updates
+        const elements = ids
+            .map(id => this.state.findElementById(id))
+            .filter(element => element && !this.state.isLocked(element.id));
+        if (elements.length === 0) return;
+
+        this.state.beginTransaction(options.label || `Edit ${elements.length} elements`, options.sessionKey);
+        try {
+            elements.forEach(element => {
+                const changes = typeof updates === 'function' ? updates(element) : updates;
+                if (changes.textContent !== undefined) this.state.setText(element.id, changes.textContent);
+                if (changes.styles) this.state.setStyles(element.id, changes.styles, this.state.activeBreakpoint);
+                if (changes.attributes) this.state.setAttributes(element.id, changes.attributes);
+                if (changes.hiddenOn) this.state.setHiddenOn(element.id, changes.hiddenOn);
+            });
+        } finally {
+            this.state.commitTransaction();
+        }
+
+        this.canvas.render(this.state);
+    }
+
+    // Text typed directly on the canvas, applied as one undo step
+    editTextInline(id, text) {
+        const element = this.state.findElementById(id);
+        if (!element || typeof text !== 'string' || this.state.isLocked(id)) return;
+        if (!this.propertiesPanel.textTags.includes(element.tag)) return;
+
+        this.updateElement(id, { textContent: text }, { label: `Edit text of ${element.tag}` });
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+    }
+
+    // Size from the canvas resize handles, applied as one undo step
+    resizeElement(id, size) {
+        const element = this.state.findElementById(id);
+        if (!element || id === 'root-canvas' || this.state.isLocked(id)) return;
+
+        const styles = {};
+        ['width', 'height'].forEach(property => {
+            if (/^\d+(\.\d+)?px$/.test(size[property] || '')) styles[EditorState.styleKey(element, property)] = size[property];
+        });
+        if (Object.keys(styles).length === 0) return;
+
+        this.updateElement(id, { styles }, { label: `Resize ${element.tag}` });
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+    }
+
+    /**
+     * Move an element to index among parentId's current children (counting the element itself
+     * when it already sits in that parent). Returns false when the move is not allowed.
+     */
+    moveElement(id, parentId, index) {
+        const element = this.state.findElementById(id);
+        const parent = this.state.findElementById(parentId);
+        const location = this.state.findParent(id);
+        if (!element || !location || !EditorState.canHaveChildren(parent)) return false;
+        if (this.state.isLocked(id) || this.state.isLocked(parentId)) return false;
+        if (parentId === id || this.state.findElementById(parentId, element)) return false;
+
+        let target = index;
+        if (location.parent.id === parentId && location.index < index) target--;
+        if (location.parent.id === parentId && location.index === target) return false;
+
+        this.state.transact(`Move ${element.tag}`, () => this.state.moveNode(id, parentId, target));
+        this.canvas.render(this.state);
+        return true;
+    }
+
+    // Keyboard moves: up/down among siblings, indent into the previous sibling, outdent after the parent
+    moveSelected(direction) {
+        const id = this.state.selectedElementId;
+        const location = id && this.state.findParent(id);
+        if (!location) return false;
+        const { parent, index } = location;
+
+        switch (direction) {
+            case 'up':
+                return index > 0 && this.moveElement(id, parent.id, index - 1);
+            case 'down':
+                return index < parent.children.length - 1 && this.moveElement(id, parent.id, index + 2);
+            case 'indent': {
+                const previous = parent.children[index - 1];
+                return Boolean(previous) && this.moveElement(id, previous.id, (previous.children || []).length);
+            }
+            case 'outdent': {
+                const outer = this.state.findParent(parent.id);
+                return Boolean(outer) && this.moveElement(id, outer.parent.id, outer.index + 1);
             }
+            default:
+                return false;
+        }
+    }
 
-            if (updates.attributes) {
-                if (!element.attributes) element.attributes = {};
-                Object.entries(updates.attributes).forEach(([k, v]) => {
-                    if (v === '' || v === null || v === undefined) {
-                        delete element.attributes[k];
-                    } else {
-                        element.attributes[k] = v;
-                    }
-                });
+    // Ctrl/Cmd+C, X and V on the selected elements while the editor (not a text field) has focus
+    initClipboard() {
+        const handle = (e) => {
+            if (this.isTyping(e) || document.querySelector('.modal:not(.hidden)')) return;
+            if (e.type === 'paste') {
+                const data = { html: e.clipboardData.getData('text/html'), text: e.clipboardData.getData('text/plain') };
+                if (this.pasteClipboard(data)) e.preventDefault();
+                return;
+            }
+            const data = this.copySelection(e.type === 'cut');
+            if (data) {
+                e.clipboardData.setData('text/html', data.html);
+                e.clipboardData.setData('text/plain', data.text);
+                e.preventDefault();
+            }
+        };
+        ['copy', 'cut', 'paste'].forEach(type => document.addEventListener(type, handle));
+    }
+
+    // Clipboard events raised inside the canvas frame; copies are written with the async Clipboard API
+    async handleCanvasClipboard(action, data) {
+        if (action === 'paste') {
+            this.pasteClipboard(data || {});
+            return;
+        }
+
+        // A cut only removes the elements once the clipboard holds them
+        const ids = this.state.topLevelSelection();
+        const payload = this.copySelection();
+        if (!payload) return;
+        try {
+            if (window.ClipboardItem && navigator.clipboard.write) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/html': new Blob([payload.html], { type: 'text/html' }),
+                    'text/plain': new Blob([payload.text], { type: 'text/plain' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(payload.text);
             }
+        } catch (error) {
+            console.error('Clipboard write failed:', error);
+            this.showStatus(`${action === 'cut' ? 'Cut' : 'Copy'} failed: ${error.message}`, 'error');
+            return;
+        }
+        if (action === 'cut') this.removeCut(ids);
+    }
 
-            this.canvas.render(this.state);
+    // Serialize the selected subtrees; cut then removes the unlocked ones as one undo step
+    copySelection(cut = false) {
+        const ids = this.state.topLevelSelection();
+        if (ids.length === 0) return null;
+
+        const nodes = ids.map(id => this.state.findElementById(id));
+        const data = ElementClipboard.serialize(nodes, this.exportManager);
+
+        if (cut) this.removeCut(ids);
+        return data;
+    }
+
+    removeCut(ids) {
+        const removable = ids.filter(id => this.state.findElementById(id) && !this.state.isLocked(id));
+        if (removable.length === 0) return;
+        const label = removable.length > 1 ? `Cut ${removable.length} elements` : `Cut ${this.state.findElementById(removable[0]).tag}`;
+        this.state.transact(label, () => removable.forEach(id => this.state.removeNode(id)));
+        this.state.selectedElementId = null;
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(null);
+    }
+
+    // Paste inside the selected element (after it when it cannot hold children), or at the end of the page
+    pasteClipboard(data) {
+        const nodes = ElementClipboard.parse(data, this.state.collectIds());
+        if (nodes.length === 0) return false;
+
+        const selected = this.state.findElementById(this.state.selectedElementId);
+        let parentId = 'root-canvas';
+        let index = this.state.domTree.children.length;
+        if (selected && EditorState.canHaveChildren(selected)) {
+            parentId = selected.id;
+            index = (selected.children || []).length;
+        } else if (selected) {
+            const location = this.state.findParent(selected.id);
+            parentId = location.parent.id;
+            index = location.index + 1;
+        }
+        if (this.state.isLocked(parentId)) return false;
+
+        const label = nodes.length > 1 ? `Paste ${nodes.length} elements` : `Paste ${nodes[0].tag}`;
+        this.state.transact(label, () => nodes.forEach((node, i) => this.state.insertNode(parentId, index + i, node)));
+        this.state.selectedIds = nodes.map(node => node.id);
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+        return true;
+    }
+
+    // Tree navigation from the last selected element; locked elements are skipped
+    selectRelative(relation) {
+        const currentId = this.state.selectedElementId;
+        if (!currentId) return;
+        const element = this.state.findElementById(currentId);
+        if (!element) return;
+
+        const location = this.state.findParent(currentId);
+        let candidates = [];
+        if (relation === 'parent') {
+            candidates = location ? [location.parent] : [];
+        } else if (relation === 'firstChild') {
+            candidates = element.children || [];
+        } else if (location) {
+            const siblings = location.parent.children;
+            candidates = relation === 'next'
+                ? siblings.slice(location.index + 1)
+                : siblings.slice(0, location.index).reverse();
         }
+
+        const target = candidates.find(node => !this.state.isLocked(node.id));
+        if (target) this.selectElement(target.id);
+    }
+
+    // Short-lived message in the toolbar for actions that have no dialog of their own
+    showStatus(message, type) {
+        const status = document.getElementById('editor-status');
+        status.textContent = message;
+        status.classList.remove('hidden', 'success', 'error');
+        status.classList.add(type);
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => status.classList.add('hidden'), 5000);
+    }
+
+    isTyping(e) {
+        const target = e.target;
+        return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+    }
+
+    renameLayer(id, name) {
+        this.state.setLayer(id, { name: name || null });
+        this.canvas.render(this.state);
+    }
+
+    toggleLayerHidden(id) {
+        const element = this.state.findElementById(id);
+        if (!element || id === 'root-canvas') return;
+        this.state.setLayer(id, { hidden: element.layer && element.layer.hidden ? null : true });
+        this.canvas.render(this.state);
+    }
+
+    toggleLayerLocked(id) {
+        const element = this.state.findElementById(id);
+        if (!element || id === 'root-canvas') return;
+        this.state.setLayer(id, { locked: element.layer && element.layer.locked ? null : true });
+
+        // A locked element cannot stay selected
+        this.state.pruneSelection();
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
     }
 
     deleteSelected() {
-        if (this.state.selectedElementId) {
-            if (this.state.deleteElement(this.state.selectedElementId)) {
-                this.canvas.render(this.state);
-                this.propertiesPanel.updateUI(null);
-            }
+        const ids = this.state.topLevelSelection().filter(id => !this.state.isLocked(id));
+        if (ids.length === 0) return;
+
+        if (ids.length > 1) {
+            this.state.transact(`Delete ${ids.length} elements`, () => ids.forEach(id => this.state.deleteElement(id)));
+        } else {
+            this.state.deleteElement(ids[0]);
         }
+        this.state.selectedElementId = null;
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(null);
     }
 
+    // Duplicates are selected in place of the originals
     cloneSelected() {
-        if (this.state.selectedElementId) {
-            if (this.state.cloneElement(this.state.selectedElementId)) {
-                this.canvas.render(this.state);
-            }
+        const ids = this.state.topLevelSelection().filter(id => !this.state.isLocked(id));
+        if (ids.length === 0) return;
+
+        if (ids.length > 1) {
+            this.state.selectedIds = this.state.transact(`Duplicate ${ids.length} elements`, () =>
+                ids.map(id => this.state.cloneElement(id)).filter(Boolean));
+        } else {
+            this.state.cloneElement(ids[0]);
+        }
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
+    }
+
+    // Group actions work on siblings: every selected element must share the same parent
+    selectionParent() {
+        const ids = this.state.topLevelSelection();
+        const parents = ids.map(id => this.state.findParent(id));
+        if (parents.length === 0 || parents.some(location => !location || location.parent.id !== parents[0].parent.id)) {
+            return null;
+        }
+        return parents[0].parent;
+    }
+
+    selectionFlexParent() {
+        const parent = this.selectionParent();
+        const display = parent && Breakpoints.value(parent, 'display', this.state.activeBreakpoint);
+        return display === 'flex' || display === 'inline-flex' ? parent : null;
+    }
+
+    wrapSelected(tag) {
+        const parent = this.selectionParent();
+        if (!parent) {
+            alert('Select elements that share the same parent to wrap them.');
+            return;
         }
+        if (this.state.isLocked(parent.id)) return;
+
+        const wrapper = { tag, id: EditorState.generateId(), styles: {}, children: [], classes: [], attributes: {} };
+        this.state.wrapNodes(this.state.topLevelSelection(), wrapper);
+        this.state.selectedElementId = wrapper.id;
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(wrapper.id));
+    }
+
+    // Cross-axis alignment of each selected item in its flex parent
+    alignSelected(value) {
+        if (!this.selectionFlexParent()) return;
+        this.updateElements(this.state.topLevelSelection(), element => ({
+            styles: { [EditorState.styleKey(element, 'alignSelf')]: value }
+        }), { label: `Align ${value}` });
+    }
+
+    // Main-axis distribution, set on the shared flex parent
+    distributeSelected(value) {
+        const parent = this.selectionFlexParent();
+        if (!parent) return;
+        this.updateElement(parent.id, {
+            styles: { [EditorState.styleKey(parent, 'justifyContent')]: value }
+        }, { label: `Distribute ${value}` });
     }
 
     clearCanvas() {
         if (confirm('Clear entire canvas?')) {
-            this.state.saveState();
-            this.state.domTree.children = [];
+            this.autosave.checkpoint();
+            this.state.transact('Clear canvas', () => {
+                this.state.domTree.children
+                    .filter(child => !this.state.isLocked(child.id))
+                    .forEach(child => this.state.removeNode(child.id));
+            });
             this.state.selectedElementId = null;
             this.canvas.render(this.state);
             this.propertiesPanel.updateUI(null);
@@ -1791,19 +7654,21 @@ class Editor {
     }
 
     undo() {
-        if (this.state.undo()) {
-            this.canvas.render(this.state);
-            const selected = this.state.findElementById(this.state.selectedElementId);
-            this.propertiesPanel.updateUI(selected);
-        }
+        if (this.state.undo()) this.refreshAfterHistory();
     }
 
     redo() {
-        if (this.state.redo()) {
-            this.canvas.render(this.state);
-            const selected = this.state.findElementById(this.state.selectedElementId);
-            this.propertiesPanel.updateUI(selected);
-        }
+        if (this.state.redo()) this.refreshAfterHistory();
+    }
+
+    jumpToHistory(position) {
+        if (this.state.jumpTo(position)) this.refreshAfterHistory();
+    }
+
+    refreshAfterHistory() {
+        this.state.pruneSelection();
+        this.canvas.render(this.state);
+        this.propertiesPanel.updateUI(this.state.findElementById(this.state.selectedElementId));
     }
 }
 
@@ -15,7 +15,8 @@ try {
             'model' => 'gpt-4o-mini',
             'maxTokens' => 2000,
             'temperature' => 0.7,
-            'systemPrompt' => ''
+            'systemPrompt' => '',
+            'keymap' => new stdClass()
         ];
         echo json_encode([
             'success' => true,
@@ -39,7 +40,8 @@ try {
         'model' => $settings['model'] ?? 'gpt-4o-mini',
         'maxTokens' => $settings['maxTokens'] ?? 2000,
         'temperature' => $settings['temperature'] ?? 0.7,
-        'systemPrompt' => $settings['systemPrompt'] ?? ''
+        'systemPrompt' => $settings['systemPrompt'] ?? '',
+        'keymap' => (object)($settings['keymap'] ?? [])
     ];
 
     echo json_encode([
@@ -0,0 +1,44 @@
+<?php
+/**
+ * List Drafts Endpoint
+ * Returns the metadata of every saved draft, newest first
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('GET');
+
+try {
+    $drafts = [];
+
+    if (is_dir(DRAFTS_DIR)) {
+        foreach (glob(DRAFTS_DIR . '/*' . DRAFT_EXTENSION) as $file) {
+            try {
+                $project = read_json_locked($file);
+            } catch (Exception $e) {
+                error_log('list_drafts: skipping unreadable draft ' . basename($file) . ': ' . $e->getMessage());
+                continue;
+            }
+
+            $meta = $project['meta'] ?? [];
+            $drafts[] = [
+                'id' => basename($file, DRAFT_EXTENSION),
+                'name' => $meta['name'] ?? 'Untitled project',
+                'createdAt' => $meta['createdAt'] ?? null,
+                'updatedAt' => $meta['updatedAt'] ?? null,
+                'size' => filesize($file)
+            ];
+        }
+    }
+
+    usort($drafts, function ($a, $b) {
+        return strcmp((string)$b['updatedAt'], (string)$a['updatedAt']);
+    });
+
+    send_json(true, $drafts);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
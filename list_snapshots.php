@@ -0,0 +1,48 @@
+<?php
+/**
+ * List Snapshots Endpoint
+ * Returns the snapshot timeline of a project, newest first
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('GET');
+
+$projectId = $_GET['projectId'] ?? null;
+if (!is_valid_storage_id($projectId)) {
+    send_json(false, null, 'Invalid project id', 400);
+}
+
+try {
+    $snapshots = [];
+
+    if (is_dir(snapshot_dir($projectId))) {
+        foreach (glob(snapshot_dir($projectId) . '/*.json') as $file) {
+            try {
+                $snapshot = read_json_locked($file);
+            } catch (Exception $e) {
+                error_log('list_snapshots: skipping unreadable snapshot ' . basename($file) . ': ' . $e->getMessage());
+                continue;
+            }
+
+            $snapshots[] = [
+                'id' => basename($file, '.json'),
+                'name' => $snapshot['name'] ?? 'Snapshot',
+                'auto' => !empty($snapshot['auto']),
+                'createdAt' => $snapshot['createdAt'] ?? null
+            ];
+        }
+    }
+
+    // Snapshot ids start with a UTC timestamp
+    usort($snapshots, function ($a, $b) {
+        return strcmp($b['id'], $a['id']);
+    });
+
+    send_json(true, $snapshots);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
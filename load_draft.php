@@ -0,0 +1,27 @@
+<?php
+/**
+ * Load Draft Endpoint
+ * Returns the full project document for a draft id
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('GET');
+
+$id = $_GET['id'] ?? null;
+if (!is_valid_storage_id($id)) {
+    send_json(false, null, 'Invalid draft id', 400);
+}
+
+if (!file_exists(draft_path($id))) {
+    send_json(false, null, 'Draft not found', 404);
+}
+
+try {
+    send_json(true, read_json_locked(draft_path($id)));
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
@@ -0,0 +1,29 @@
+<?php
+/**
+ * Load Snapshot Endpoint
+ * Returns a snapshot including its full project document
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('GET');
+
+$projectId = $_GET['projectId'] ?? null;
+$id = $_GET['id'] ?? null;
+
+if (!is_valid_storage_id($projectId) || !is_valid_storage_id($id)) {
+    send_json(false, null, 'Invalid snapshot id', 400);
+}
+
+if (!file_exists(snapshot_path($projectId, $id))) {
+    send_json(false, null, 'Snapshot not found', 404);
+}
+
+try {
+    send_json(true, read_json_locked(snapshot_path($projectId, $id)));
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
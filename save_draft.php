@@ -0,0 +1,49 @@
+<?php
+/**
+ * Save Draft Endpoint
+ * Creates or overwrites a project draft in the drafts directory
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('POST');
+
+$project = read_json_body();
+
+$errors = validate_project($project);
+
+if (!empty($errors)) {
+    send_json(false, ['validation' => $errors], 'Validation failed', 400);
+}
+
+$meta = $project['meta'];
+$name = trim((string)($meta['name'] ?? ''));
+if ($name === '') {
+    $name = 'Untitled project';
+}
+
+try {
+    ensure_storage_dir(DRAFTS_DIR);
+
+    $id = $meta['id'] ?? null;
+    if (!is_valid_storage_id($id) || !file_exists(draft_path($id))) {
+        $id = generate_storage_id();
+    }
+
+    $now = gmdate('c');
+    $project['meta'] = array_merge($meta, [
+        'id' => $id,
+        'name' => mb_substr($name, 0, 100),
+        'createdAt' => $meta['createdAt'] ?? $now,
+        'updatedAt' => $now
+    ]);
+
+    write_json_locked(draft_path($id), $project);
+
+    send_json(true, $project['meta']);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
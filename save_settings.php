@@ -1,7 +1,7 @@
 <?php
 /**
  * Save Settings Endpoint
- * Persists model/maxTokens/temperature/systemPrompt to settings.json
+ * Persists model/maxTokens/temperature/systemPrompt and the keyboard shortcut keymap to settings.json
  * API key is intentionally not stored server-side.
  */
 
@@ -46,6 +46,9 @@ $model = $payload['model'] ?? null;
 $maxTokens = $payload['maxTokens'] ?? null;
 $temperature = $payload['temperature'] ?? null;
 $systemPrompt = $payload['systemPrompt'] ?? null;
+// A save without a keymap keeps the stored one
+$hasKeymap = array_key_exists('keymap', $payload);
+$keymap = $payload['keymap'] ?? [];
 
 $errors = [];
 
@@ -73,6 +76,19 @@ if (!is_string($systemPrompt)) {
     $errors['systemPrompt'] = 'System Prompt must be at most 5000 characters';
 }
 
+// Keymap: command id => shortcut string ('' unbinds the command's default shortcut)
+if (!is_array($keymap) || count($keymap) > 200) {
+    $errors['keymap'] = 'Keymap must map command ids to shortcuts';
+} else {
+    foreach ($keymap as $commandId => $shortcut) {
+        if (!is_string($commandId) || !preg_match('/^[a-z0-9.-]{1,64}$/', $commandId)
+            || !is_string($shortcut) || strlen($shortcut) > 40) {
+            $errors['keymap'] = 'Keymap must map command ids to shortcuts of at most 40 characters';
+            break;
+        }
+    }
+}
+
 if (!empty($errors)) {
     http_response_code(400);
     echo json_encode([
@@ -89,7 +105,8 @@ $defaults = [
     'model' => 'gpt-4o-mini',
     'maxTokens' => 2000,
     'temperature' => 0.7,
-    'systemPrompt' => ''
+    'systemPrompt' => '',
+    'keymap' => []
 ];
 
 $fh = null;
@@ -119,12 +136,18 @@ try {
         }
     }
 
-    $updated = array_merge($defaults, $existing, [
+    $changes = [
         'model' => $model,
         'maxTokens' => $maxTokensInt,
         'temperature' => (float)$temperature,
         'systemPrompt' => $systemPrompt
-    ]);
+    ];
+    if ($hasKeymap) {
+        $changes['keymap'] = $keymap;
+    }
+
+    $updated = array_merge($defaults, $existing, $changes);
+    $updated['keymap'] = (object)(is_array($updated['keymap']) ? $updated['keymap'] : []);
 
     if (isset($updated['apiKey'])) {
         unset($updated['apiKey']);
@@ -150,7 +173,8 @@ try {
             'model' => $updated['model'],
             'maxTokens' => $updated['maxTokens'],
             'temperature' => $updated['temperature'],
-            'systemPrompt' => $updated['systemPrompt']
+            'systemPrompt' => $updated['systemPrompt'],
+            'keymap' => $updated['keymap']
         ],
         'error' => null
     ]);
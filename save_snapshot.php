@@ -0,0 +1,59 @@
+<?php
+/**
+ * Save Snapshot Endpoint
+ * Stores a named, immutable copy of a project in its snapshot history
+ */
+
+require_once __DIR__ . '/storage.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+require_method('POST');
+
+$payload = read_json_body();
+
+$projectId = $payload['projectId'] ?? null;
+$project = $payload['project'] ?? null;
+$auto = ($payload['auto'] ?? false) === true;
+
+$errors = validate_project($project);
+
+if (!is_valid_storage_id($projectId)) {
+    $errors['projectId'] = 'Invalid project id';
+} else if (!file_exists(draft_path($projectId))) {
+    $errors['projectId'] = 'Save the project as a draft before taking snapshots';
+}
+
+if (!empty($errors)) {
+    send_json(false, ['validation' => $errors], 'Validation failed', 400);
+}
+
+$name = trim((string)($payload['name'] ?? ''));
+if ($name === '') {
+    $name = $auto ? 'Automatic snapshot' : 'Snapshot';
+}
+
+try {
+    ensure_storage_dir(snapshot_dir($projectId));
+
+    $snapshot = [
+        'id' => gmdate('Ymd-His') . '-' . generate_storage_id() . ($auto ? AUTO_SNAPSHOT_SUFFIX : ''),
+        'name' => mb_substr($name, 0, 100),
+        'auto' => $auto,
+        'createdAt' => gmdate('c'),
+        'project' => $project
+    ];
+
+    write_json_locked(snapshot_path($projectId, $snapshot['id']), $snapshot);
+
+    // Keep only the newest automatic snapshots; manual ones are never pruned
+    foreach (array_slice(auto_snapshot_files($projectId), MAX_AUTO_SNAPSHOTS) as $file) {
+        delete_locked($file);
+    }
+
+    unset($snapshot['project']);
+    send_json(true, $snapshot);
+} catch (Exception $e) {
+    send_json(false, null, $e->getMessage(), 500);
+}
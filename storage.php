@@ -0,0 +1,216 @@
+<?php
+/**
+ * Shared storage helpers for draft and snapshot endpoints
+ * Drafts are stored as one JSON file per project in the drafts directory,
+ * snapshots as one JSON file each in snapshots/<project id>/.
+ */
+
+define('DRAFTS_DIR', __DIR__ . '/drafts');
+define('SNAPSHOTS_DIR', __DIR__ . '/snapshots');
+define('DRAFT_EXTENSION', '.vdproj');
+define('DRAFT_MAX_BYTES', 5242880); // 5MB, matches config.php max_file_size
+define('MAX_AUTO_SNAPSHOTS', 30);
+define('AUTO_SNAPSHOT_SUFFIX', '-auto'); // ends the id of automatic snapshots so they can be pruned by file name
+
+function send_json($success, $data, $error = null, $status = 200) {
+    http_response_code($status);
+    echo json_encode([
+        'success' => $success,
+        'data' => $data,
+        'error' => $error
+    ]);
+    exit;
+}
+
+function require_method($method) {
+    if ($_SERVER['REQUEST_METHOD'] !== $method) {
+        send_json(false, null, 'Method not allowed', 405);
+    }
+}
+
+function read_json_body() {
+    $raw = file_get_contents('php://input');
+    if ($raw === false) {
+        send_json(false, null, 'Invalid request body', 400);
+    }
+
+    if (strlen($raw) > DRAFT_MAX_BYTES) {
+        send_json(false, null, 'Request body too large', 413);
+    }
+
+    $payload = json_decode($raw, true);
+    if (json_last_error() !== JSON_ERROR_NONE || !is_array($payload)) {
+        send_json(false, null, 'Invalid JSON payload', 400);
+    }
+
+    return $payload;
+}
+
+function is_valid_storage_id($id) {
+    return is_string($id) && preg_match('/^[a-z0-9-]{1,64}$/', $id) === 1;
+}
+
+function generate_storage_id() {
+    return bin2hex(random_bytes(8));
+}
+
+function ensure_storage_dir($dir) {
+    if (!is_dir($dir) && !mkdir($dir, 0775, true) && !is_dir($dir)) {
+        throw new Exception('Storage directory not writable');
+    }
+}
+
+function draft_path($id) {
+    return DRAFTS_DIR . '/' . $id . DRAFT_EXTENSION;
+}
+
+function snapshot_dir($projectId) {
+    return SNAPSHOTS_DIR . '/' . $projectId;
+}
+
+function snapshot_path($projectId, $id) {
+    return snapshot_dir($projectId) . '/' . $id . '.json';
+}
+
+/**
+ * Files of the automatic snapshots of a project, newest first (ids start with a UTC timestamp)
+ */
+function auto_snapshot_files($projectId) {
+    $files = glob(snapshot_dir($projectId) . '/*' . AUTO_SNAPSHOT_SUFFIX . '.json') ?: [];
+    rsort($files);
+    return $files;
+}
+
+/**
+ * Validate a serialized project document, returning field => message errors
+ */
+function validate_project($project) {
+    $errors = [];
+
+    if (!is_array($project) || ($project['format'] ?? null) !== 'vd-visual-editor-project') {
+        $errors['format'] = 'Unknown project format';
+        return $errors;
+    }
+
+    if (!is_int($project['version'] ?? null) || $project['version'] < 1) {
+        $errors['version'] = 'Project version must be a positive integer';
+    }
+
+    if (!isset($project['meta']) || !is_array($project['meta'])) {
+        $errors['meta'] = 'Project metadata is required';
+    }
+
+    if (!isset($project['pages']) || !is_array($project['pages']) || count($project['pages']) === 0) {
+        $errors['pages'] = 'Project must contain at least one page';
+    }
+
+    return $errors;
+}
+
+/**
+ * Acquire a lock on an open handle, retrying for up to three seconds
+ */
+function acquire_lock($fh, $operation) {
+    $start = microtime(true);
+    while (!flock($fh, $operation | LOCK_NB)) {
+        if ((microtime(true) - $start) >= 3.0) {
+            throw new Exception('Could not acquire storage lock (timeout)');
+        }
+        usleep(50000); // 50ms
+    }
+}
+
+/**
+ * Write JSON to a file under an exclusive lock (same pattern as save_settings.php)
+ */
+function write_json_locked($file, $data) {
+    $fh = null;
+    $locked = false;
+
+    try {
+        $fh = fopen($file, 'c+');
+        if ($fh === false) {
+            throw new Exception('Storage file not writable');
+        }
+
+        acquire_lock($fh, LOCK_EX);
+        $locked = true;
+
+        $json = json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+        if ($json === false) {
+            throw new Exception('Failed to encode JSON');
+        }
+
+        ftruncate($fh, 0);
+        rewind($fh);
+        if (fwrite($fh, $json) === false) {
+            throw new Exception('Failed to write storage file');
+        }
+
+        fflush($fh);
+    } finally {
+        if (is_resource($fh)) {
+            if ($locked) {
+                flock($fh, LOCK_UN);
+            }
+            fclose($fh);
+        }
+    }
+}
+
+/**
+ * Read and decode a JSON file under a shared lock
+ */
+function read_json_locked($file) {
+    $fh = null;
+    $locked = false;
+
+    try {
+        $fh = fopen($file, 'r');
+        if ($fh === false) {
+            throw new Exception('Storage file not readable');
+        }
+
+        acquire_lock($fh, LOCK_SH);
+        $locked = true;
+
+        $raw = stream_get_contents($fh);
+        if ($raw === false) {
+            throw new Exception('Failed to read storage file');
+        }
+
+        $decoded = json_decode($raw, true);
+        if (json_last_error() !== JSON_ERROR_NONE || !is_array($decoded)) {
+            throw new Exception('Invalid JSON in storage file: ' . json_last_error_msg());
+        }
+
+        return $decoded;
+    } finally {
+        if (is_resource($fh)) {
+            if ($locked) {
+                flock($fh, LOCK_UN);
+            }
+            fclose($fh);
+        }
+    }
+}
+
+/**
+ * Delete a file while holding its exclusive lock
+ */
+function delete_locked($file) {
+    $fh = fopen($file, 'c+');
+    if ($fh === false) {
+        throw new Exception('Storage file not writable');
+    }
+
+    try {
+        acquire_lock($fh, LOCK_EX);
+        if (!unlink($file)) {
+            throw new Exception('Failed to delete storage file');
+        }
+        flock($fh, LOCK_UN);
+    } finally {
+        fclose($fh);
+    }
+}